@@ -16,6 +16,7 @@
  *
  * Notes
  * - API base: set ZAPMAIL_API_BASE (defaults to https://api.zapmail.ai/api)
+ * - Sandbox: --sandbox serves an in-memory fake API instead (see sandbox.js)
  * - API key: set ZAPMAIL_API_KEY (or ZAPMAIL_API_TOKEN)
  * - Workspace: set ZAPMAIL_WORKSPACE_KEY
  * - Provider: set ZAPMAIL_SERVICE_PROVIDER = GOOGLE|MICROSOFT
@@ -23,9 +24,19 @@
  */
 
 import { stdin, stdout, stderr, env, argv } from "node:process";
-import { readFileSync } from "node:fs";
+import { readFileSync, writeFileSync } from "node:fs";
+import {
+  mkdir,
+  readFile,
+  readdir,
+  rename,
+  unlink,
+  writeFile,
+} from "node:fs/promises";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
+import { createServer } from "node:http";
+import { AsyncLocalStorage } from "node:async_hooks";
 
 // Handle command line arguments
 if (argv.includes("--version") || argv.includes("-v")) {
@@ -53,8 +64,13 @@ Usage:
   npx zapmail-mcp [options]
 
 Options:
-  --version, -v    Show version number
-  --help, -h       Show this help message
+  --version, -v       Show version number
+  --help, -h          Show this help message
+  --http              Serve MCP over Streamable HTTP instead of stdio
+  --transport <mode>  Transport to use: stdio or http (default: stdio)
+  --port <port>       HTTP port when using the HTTP transport (default: 3000)
+  --host <host>       HTTP bind address (default: 127.0.0.1)
+  --sandbox           Use a built-in in-memory fake Zapmail API (no API key needed)
 
 Environment Variables:
   ZAPMAIL_API_KEY          Your Zapmail API key (required)
@@ -62,6 +78,15 @@ Environment Variables:
   ZAPMAIL_SERVICE_PROVIDER Email provider: GOOGLE or MICROSOFT (default: GOOGLE)
   ZAPMAIL_LOG_LEVEL        Logging level: DEBUG, INFO, WARN, ERROR (default: INFO)
   OPENAI_API_KEY           OpenAI API key for enhanced NLP (optional)
+  ZAPMAIL_TRANSPORT        Transport: stdio or http (default: stdio)
+  ZAPMAIL_HTTP_PORT        HTTP port for the HTTP transport (default: 3000)
+  ZAPMAIL_HTTP_HOST        HTTP bind address (default: 127.0.0.1)
+  ZAPMAIL_HTTP_ALLOWED_ORIGINS  Comma-separated Origin allow-list (optional)
+  ZAPMAIL_HTTP_ALLOWED_HOSTS    Comma-separated Host names besides loopback (optional)
+  ZAPMAIL_HTTP_AUTH_TOKEN       Bearer token HTTP clients must send (optional)
+  ZAPMAIL_HTTP_SESSION_TTL_MS   Idle time before an HTTP session expires (default: 1800000)
+  ZAPMAIL_HTTP_MAX_SESSIONS     Maximum open HTTP sessions (default: 100)
+  ZAPMAIL_SANDBOX          Same as --sandbox when set to true
 
 For more information, visit: https://github.com/dsouzaalan/zapmail-mcp
 `);
@@ -76,13 +101,28 @@ import crypto from "node:crypto";
 // Configuration and global context
 // ---------------------------------------------------------------------------
 
-const API_BASE = (env.ZAPMAIL_API_BASE || "https://api.zapmail.ai/api").trim();
+// --sandbox serves an in-memory fake of the Zapmail API from this process
+// (see sandbox.js) and points every call at it
+const SANDBOX =
+  argv.includes("--sandbox") || env.ZAPMAIL_SANDBOX === "true"
+    ? await (await import("./sandbox.js")).startSandbox()
+    : null;
+SANDBOX?.server.unref();
+
+const API_BASE = (
+  SANDBOX?.url ||
+  env.ZAPMAIL_API_BASE ||
+  "https://api.zapmail.ai/api"
+).trim();
 
 function getApiKey() {
   const key = env.ZAPMAIL_API_KEY || env.ZAPMAIL_API_TOKEN;
+  if (!key && SANDBOX) return "sandbox";
   return key ? key.trim() : null;
 }
 
+// Defaults for every client; set_context changes them for stdio, while each
+// HTTP session works on its own copy (see currentContext)
 const CONTEXT = {
   workspaceKey: (env.ZAPMAIL_WORKSPACE_KEY || "").trim() || null,
   serviceProvider: (env.ZAPMAIL_SERVICE_PROVIDER || "GOOGLE")
@@ -92,16 +132,82 @@ const CONTEXT = {
 
 const FEATURE_FLAGS = {
   llmPlanner: !!env.OPENAI_API_KEY, // If OpenAI key exists, planner can use LLM. Otherwise uses rules.
+  samplingPlanner: env.ZAPMAIL_SAMPLING_PLANNER !== "false", // Ask the client's model via sampling/createMessage when the client supports it.
 };
 
+// Integer settings that are unset, not a number or below `min` fall back to
+// their default; the rejected values are logged once the logger exists
+const INVALID_SETTINGS = [];
+
+function envInt(name, fallback, min = 0) {
+  const raw = env[name];
+  if (raw === undefined || raw.trim() === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    INVALID_SETTINGS.push({ name, value: raw, using: fallback });
+    return fallback;
+  }
+  return value;
+}
+
 // Enhanced configuration with defaults
 const CONFIG = {
   logLevel: (env.ZAPMAIL_LOG_LEVEL || "INFO").toUpperCase(),
-  maxRetries: parseInt(env.ZAPMAIL_MAX_RETRIES || "3", 10),
-  timeoutMs: parseInt(env.ZAPMAIL_TIMEOUT_MS || "30000", 10),
+  maxRetries: envInt("ZAPMAIL_MAX_RETRIES", 3),
+  timeoutMs: envInt("ZAPMAIL_TIMEOUT_MS", 30000, 1),
   enableCaching: env.ZAPMAIL_ENABLE_CACHE !== "false",
   enableMetrics: env.ZAPMAIL_ENABLE_METRICS !== "false",
-  rateLimitDelay: parseInt(env.ZAPMAIL_RATE_LIMIT_DELAY || "1000", 10),
+  batchConcurrency: envInt("ZAPMAIL_BATCH_CONCURRENCY", 4, 1),
+  bulkUpdateChunkSize: envInt("ZAPMAIL_BULK_UPDATE_CHUNK_SIZE", 25, 1),
+  rateLimits: env.ZAPMAIL_RATE_LIMITS || "",
+  rateLimitRecoveryMs: envInt("ZAPMAIL_RATE_LIMIT_RECOVERY_MS", 60000, 1),
+  retryBaseDelayMs: envInt("ZAPMAIL_RETRY_BASE_DELAY_MS", 1000),
+  retryMaxDelayMs: envInt("ZAPMAIL_RETRY_MAX_DELAY_MS", 30000),
+  retryAfterMaxMs: envInt("ZAPMAIL_RETRY_AFTER_MAX_MS", 120000),
+  subscriptionPollMs: envInt("ZAPMAIL_SUBSCRIPTION_POLL_MS", 60000, 1000),
+  manifestReloadMs: envInt("ZAPMAIL_MANIFEST_RELOAD_MS", 3600000),
+  circuitFailureThreshold: envInt("ZAPMAIL_CIRCUIT_FAILURE_THRESHOLD", 5),
+  circuitResetMs: envInt("ZAPMAIL_CIRCUIT_RESET_MS", 30000),
+  samplingTimeoutMs: envInt("ZAPMAIL_SAMPLING_TIMEOUT_MS", 60000, 1),
+  diskCacheDir: (env.ZAPMAIL_DISK_CACHE_DIR || "").trim() || null,
+  diskCacheTtls: env.ZAPMAIL_DISK_CACHE_TTLS || "",
+  diskCacheMaxStaleMs: envInt("ZAPMAIL_DISK_CACHE_MAX_STALE_MS", 604800000),
+  cassetteMode: (env.ZAPMAIL_CASSETTE || "").trim().toLowerCase() || null,
+  cassettePath: (env.ZAPMAIL_CASSETTE_PATH || "zapmail-cassette.json").trim(),
+};
+
+function getArgValue(flag) {
+  const inline = argv.find((a) => a.startsWith(`${flag}=`));
+  if (inline) return inline.slice(flag.length + 1);
+  const idx = argv.indexOf(flag);
+  if (idx >= 0 && argv[idx + 1] && !argv[idx + 1].startsWith("-")) {
+    return argv[idx + 1];
+  }
+  return undefined;
+}
+
+// Transport selection: stdio (default) or MCP Streamable HTTP
+const TRANSPORT = {
+  mode: (argv.includes("--http")
+    ? "http"
+    : getArgValue("--transport") || env.ZAPMAIL_TRANSPORT || "stdio"
+  )
+    .trim()
+    .toLowerCase(),
+  host: (getArgValue("--host") || env.ZAPMAIL_HTTP_HOST || "127.0.0.1").trim(),
+  port: parseInt(getArgValue("--port") || env.ZAPMAIL_HTTP_PORT || "3000", 10),
+  path: "/mcp",
+  allowedOrigins: (env.ZAPMAIL_HTTP_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim())
+    .filter(Boolean),
+  allowedHosts: (env.ZAPMAIL_HTTP_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean),
+  authToken: (env.ZAPMAIL_HTTP_AUTH_TOKEN || "").trim() || null,
+  sessionTtlMs: envInt("ZAPMAIL_HTTP_SESSION_TTL_MS", 1800000, 1000),
+  maxSessions: envInt("ZAPMAIL_HTTP_MAX_SESSIONS", 100, 1),
 };
 
 // ---------------------------------------------------------------------------
@@ -121,16 +227,20 @@ class Logger {
   }
 
   log(level, message, data = null) {
-    if (LOG_LEVELS[level] >= this.level) {
-      const timestamp = new Date().toISOString();
-      const logEntry = {
-        timestamp,
-        level,
-        message,
-        ...(data && { data }),
-      };
+    const toStderr = LOG_LEVELS[level] >= this.level;
+    if (!toStderr && !this.onEntry) return;
+    const timestamp = new Date().toISOString();
+    const logEntry = {
+      timestamp,
+      level,
+      message,
+      ...(data && { data }),
+    };
+    if (toStderr) {
       stderr.write(JSON.stringify(logEntry) + "\n");
     }
+    // MCP clients pick their own level via logging/setLevel
+    this.onEntry?.(logEntry);
   }
 
   debug(message, data) {
@@ -149,6 +259,10 @@ class Logger {
 
 const logger = new Logger(CONFIG.logLevel);
 
+for (const setting of INVALID_SETTINGS) {
+  logger.warn("Ignoring invalid setting", setting);
+}
+
 // ---------------------------------------------------------------------------
 // Enhanced Error Handling
 // ---------------------------------------------------------------------------
@@ -177,6 +291,49 @@ class ApiError extends ZapmailError {
   }
 }
 
+// A non-idempotent request failed after it may have reached Zapmail, so it
+// was not re-sent; the caller has to check whether it took effect.
+class OutcomeUnknownError extends ZapmailError {
+  constructor(message, details = {}) {
+    super(message, "OUTCOME_UNKNOWN", details);
+    this.name = "OutcomeUnknownError";
+  }
+}
+
+class CircuitOpenError extends ZapmailError {
+  constructor(endpoint, retryInMs, lastError) {
+    super(
+      `Zapmail calls to ${endpoint} are paused after repeated failures (last: ${lastError})`,
+      "CIRCUIT_OPEN",
+      { endpoint, retryInMs, lastError }
+    );
+    this.name = "CircuitOpenError";
+  }
+}
+
+class CancelledError extends ZapmailError {
+  constructor(message = "Request cancelled") {
+    super(message, "CANCELLED");
+    this.name = "CancelledError";
+  }
+}
+
+// An unknown outcome is never just a cancellation: it has to be reported
+function isCancellation(err, signal) {
+  if (err instanceof OutcomeUnknownError) return false;
+  return err instanceof CancelledError || !!signal?.aborted;
+}
+
+// Sleep that returns early (instead of throwing) when the signal aborts, so
+// batch loops can stop and report what they finished.
+async function interruptibleSleep(ms, signal) {
+  try {
+    await sleep(ms, undefined, { signal });
+  } catch (err) {
+    if (!signal?.aborted) throw err;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Enhanced Request/Response Validation
 // ---------------------------------------------------------------------------
@@ -325,6 +482,18 @@ class Cache {
     return item.value;
   }
 
+  // Removes every entry whose key matches; returns how many went
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const key of this.cache.keys()) {
+      if (predicate(key)) {
+        this.cache.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
   clear() {
     this.cache.clear();
   }
@@ -336,41 +505,583 @@ class Cache {
 
 const cache = CONFIG.enableCaching ? new Cache() : null;
 
+// ---------------------------------------------------------------------------
+// Persistent disk cache
+// ---------------------------------------------------------------------------
+
+// Optional second tier (ZAPMAIL_DISK_CACHE_DIR) that survives restarts, for
+// slow-changing data. Entries past their category TTL are still served, up
+// to maxStaleMs, while a background refresh fetches the current value.
+const DISK_CACHE_DEFAULT_TTLS = {
+  manifest: 21600000, // 6 hours
+  docs: 86400000, // 24 hours
+  domains: 300000, // 5 minutes
+  availability: 900000, // 15 minutes
+};
+
+// "docs=3600000,domains=60000" -> TTLs with the defaults filled in
+function parseDiskCacheTtls(spec) {
+  const ttls = { ...DISK_CACHE_DEFAULT_TTLS };
+  for (const pair of spec.split(",")) {
+    const [category, ms] = pair.split("=").map((part) => part.trim());
+    if (category in ttls && ms && Number.isFinite(Number(ms))) {
+      ttls[category] = Number(ms);
+    }
+  }
+  return ttls;
+}
+
+class DiskCache {
+  constructor(dir, ttls, maxStaleMs) {
+    this.dir = dir;
+    this.ttls = ttls;
+    this.maxStaleMs = maxStaleMs;
+    this.refreshing = new Map();
+    // Bumped by invalidate(), so a load that started before the
+    // invalidation never writes its (possibly stale) value back
+    this.generations = new Map();
+  }
+
+  generation(category) {
+    return this.generations.get(category) ?? 0;
+  }
+
+  file(category, key) {
+    const hash = crypto.createHash("sha256").update(key).digest("hex");
+    return join(this.dir, `${category}-${hash.slice(0, 32)}.json`);
+  }
+
+  async read(category, key) {
+    try {
+      const text = await readFile(this.file(category, key), "utf8");
+      const entry = JSON.parse(text);
+      return entry.key === key ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Written to a temp file and renamed, so a concurrent reader never sees
+  // half an entry
+  async write(category, key, value, generation) {
+    if (this.generation(category) !== generation) return;
+    const file = this.file(category, key);
+    const temp = `${file}.${process.pid}.tmp`;
+    try {
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(
+        temp,
+        JSON.stringify({ key, category, storedAt: Date.now(), value })
+      );
+      if (this.generation(category) !== generation) {
+        await unlink(temp);
+        return;
+      }
+      await rename(temp, file);
+    } catch (error) {
+      logger.warn("Disk cache write failed", {
+        category,
+        error: error.message,
+      });
+    }
+  }
+
+  async invalidate(categories) {
+    for (const category of categories) {
+      this.generations.set(category, this.generation(category) + 1);
+    }
+    let files;
+    try {
+      files = await readdir(this.dir);
+    } catch {
+      return;
+    }
+    const prefixes = categories.map((category) => `${category}-`);
+    await Promise.all(
+      files
+        .filter((name) => prefixes.some((prefix) => name.startsWith(prefix)))
+        .map((name) => unlink(join(this.dir, name)).catch(() => {}))
+    );
+  }
+
+  // load({ signal }) fetches the live value; the caller's signal is not
+  // passed to background refreshes. fresh skips the lookup but still stores
+  // the result, and onRefresh runs with the value a background refresh got.
+  async getOrLoad(
+    category,
+    key,
+    load,
+    { fresh = false, onRefresh, signal } = {}
+  ) {
+    if (!fresh) {
+      const entry = await this.read(category, key);
+      const age = entry ? Date.now() - entry.storedAt : Infinity;
+      const ttl = this.ttls[category] ?? 0;
+      if (age <= ttl) {
+        if (metrics) metrics.increment("disk_cache_hits");
+        return entry.value;
+      }
+      if (age <= ttl + this.maxStaleMs) {
+        if (metrics) metrics.increment("disk_cache_stale_hits");
+        this.refreshInBackground(category, key, load, onRefresh);
+        return entry.value;
+      }
+      if (metrics) metrics.increment("disk_cache_misses");
+    }
+    const generation = this.generation(category);
+    const value = await load({ signal });
+    await this.write(category, key, value, generation);
+    return value;
+  }
+
+  refreshInBackground(category, key, load, onRefresh) {
+    const id = `${category}:${key}`;
+    if (this.refreshing.has(id)) return;
+    // Detached from the request that found the stale entry, so its
+    // cancellation doesn't apply
+    const refresh = runDetached(async () => {
+      const generation = this.generation(category);
+      try {
+        const value = await load({});
+        if (this.generation(category) !== generation) {
+          logger.debug("Disk cache refresh dropped after invalidation", {
+            category,
+          });
+          return;
+        }
+        await this.write(category, key, value, generation);
+        logger.debug("Disk cache refreshed", { category });
+        await onRefresh?.(value);
+      } catch (error) {
+        logger.warn("Disk cache refresh failed", {
+          category,
+          error: error.message,
+        });
+      } finally {
+        this.refreshing.delete(id);
+      }
+    });
+    this.refreshing.set(id, refresh);
+  }
+}
+
+const diskCache = CONFIG.diskCacheDir
+  ? new DiskCache(
+      CONFIG.diskCacheDir,
+      parseDiskCacheTtls(CONFIG.diskCacheTtls),
+      CONFIG.diskCacheMaxStaleMs
+    )
+  : null;
+
+// Keys for account data include a hash of the API key, so two accounts
+// sharing a cache directory never read each other's entries
+function accountCacheKey(...parts) {
+  const account = crypto
+    .createHash("sha256")
+    .update(getApiKey() || "")
+    .digest("hex")
+    .slice(0, 16);
+  return JSON.stringify([API_BASE, account, ...parts]);
+}
+
+async function withDiskCache(category, key, load, options = {}) {
+  if (!diskCache) return await load({ signal: options.signal });
+  return await diskCache.getOrLoad(category, key, load, options);
+}
+
 // ---------------------------------------------------------------------------
 // Enhanced Rate Limiting
 // ---------------------------------------------------------------------------
 
+// Token bucket per workspace and endpoint group. Each bucket holds up to
+// `burst` tokens and refills at its per-minute rate. A 429 halves the rate;
+// every `recoveryMs` without another 429 gives back a quarter of the
+// configured rate until it is fully restored.
+const RATE_LIMIT_DEFAULTS = {
+  read: { perMinute: 10, burst: 10 },
+  availability: { perMinute: 10, burst: 10 },
+  purchase: { perMinute: 5, burst: 5 },
+  write: { perMinute: 10, burst: 10 },
+};
+
+// "read=30,purchase=5:2" -> per-minute rate and optional burst per group
+function parseRateLimits(spec) {
+  const limits = structuredClone(RATE_LIMIT_DEFAULTS);
+  for (const pair of spec.split(",")) {
+    const [group, value = ""] = pair.split("=").map((part) => part.trim());
+    const [perMinute, burst] = value.split(":").map(Number);
+    if (!(group in limits) || !(perMinute > 0)) continue;
+    limits[group] = { perMinute, burst: burst > 0 ? burst : perMinute };
+  }
+  return limits;
+}
+
+// Purchases spend wallet funds, so they get their own (smaller) budget
+const PURCHASE_PATHS = new Set([
+  "/v2/domains/buy",
+  "/v2/domains/purchase-link",
+  "/v2/wallet/add-balance",
+]);
+
+function rateLimitGroup(method, path) {
+  const apiPath = path.split("?")[0];
+  if (apiPath === "/v2/domains/available") return "availability";
+  if (method === "GET") return "read";
+  if (PURCHASE_PATHS.has(apiPath)) return "purchase";
+  if (method === "POST" && apiPath === "/v2/mailboxes") return "purchase";
+  return "write";
+}
+
 class RateLimiter {
-  constructor(maxRequests = 10, windowMs = 60000) {
-    // 10 requests per minute
-    this.maxRequests = maxRequests;
-    this.windowMs = windowMs;
-    this.requests = new Map();
+  constructor(limits = RATE_LIMIT_DEFAULTS, recoveryMs = 60000) {
+    this.limits = limits;
+    this.recoveryMs = recoveryMs;
+    this.buckets = new Map();
+  }
+
+  // scope: { workspace, group }
+  bucket({ workspace, group }) {
+    const key = `${workspace}:${group}`;
+    if (!this.buckets.has(key)) {
+      const { perMinute, burst } = this.limits[group] || this.limits.write;
+      const now = Date.now();
+      this.buckets.set(key, {
+        key,
+        workspace,
+        group,
+        baseRate: perMinute / 60000, // tokens per ms
+        rate: perMinute / 60000,
+        capacity: burst,
+        tokens: burst,
+        refilledAt: now,
+        adjustedAt: now,
+        lastTakenAt: 0,
+        throttles: 0,
+        // Fed from server responses: a hard pause (429 / nothing remaining)
+        // and a minimum spacing that spreads the remaining quota until it
+        // resets
+        pausedUntil: 0,
+        pacing: null,
+        queue: Promise.resolve(),
+        queued: 0,
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  refill(bucket, now) {
+    if (bucket.rate < bucket.baseRate) {
+      const steps = Math.floor((now - bucket.adjustedAt) / this.recoveryMs);
+      if (steps > 0) {
+        bucket.rate = Math.min(
+          bucket.baseRate,
+          bucket.rate + (steps * bucket.baseRate) / 4
+        );
+        bucket.adjustedAt += steps * this.recoveryMs;
+        if (bucket.rate === bucket.baseRate) {
+          logger.info("Rate limit recovered", { key: bucket.key });
+        }
+      }
+    }
+    bucket.tokens = Math.min(
+      bucket.capacity,
+      bucket.tokens + (now - bucket.refilledAt) * bucket.rate
+    );
+    bucket.refilledAt = now;
+  }
+
+  pauseUntil(scope, time) {
+    const bucket = this.bucket(scope);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, time);
+  }
+
+  observe(scope, { remaining, resetMs }) {
+    if (remaining === null || resetMs === null) return;
+    const now = Date.now();
+    if (remaining <= 0) {
+      this.pauseUntil(scope, now + resetMs);
+    } else {
+      this.bucket(scope).pacing = {
+        intervalMs: resetMs / remaining,
+        until: now + resetMs,
+      };
+    }
+  }
+
+  // A 429: halve the rate (down to one request a minute) and drop any
+  // saved-up burst
+  throttle(scope) {
+    const bucket = this.bucket(scope);
+    const now = Date.now();
+    this.refill(bucket, now);
+    bucket.rate = Math.max(bucket.rate / 2, 1 / 60000);
+    bucket.tokens = Math.min(bucket.tokens, 0);
+    bucket.adjustedAt = now;
+    bucket.throttles += 1;
+    logger.warn("Rate limit reduced after 429", {
+      key: bucket.key,
+      perMinute: Math.round(bucket.rate * 60000 * 100) / 100,
+    });
+  }
+
+  async acquire(scope, signal) {
+    const bucket = this.bucket(scope);
+    // Callers take turns, so each refilled token releases one waiter rather
+    // than all of them at once
+    bucket.queued += 1;
+    const turn = bucket.queue.then(() => this.take(bucket, signal));
+    bucket.queue = turn
+      .catch(() => {})
+      .finally(() => {
+        bucket.queued -= 1;
+      });
+    if (!signal) return await turn;
+    // Leave the queue as soon as the caller cancels; its turn then ends
+    // without taking a token
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.reason);
+      signal.addEventListener("abort", onAbort, { once: true });
+    });
+    try {
+      await Promise.race([turn, aborted]);
+    } finally {
+      signal.removeEventListener("abort", onAbort);
+    }
+  }
+
+  async take(bucket, signal) {
+    for (;;) {
+      signal?.throwIfAborted();
+      const now = Date.now();
+      this.refill(bucket, now);
+      const pacing = bucket.pacing?.until > now ? bucket.pacing : null;
+      const waitMs = Math.ceil(
+        Math.max(
+          bucket.pausedUntil - now,
+          pacing ? bucket.lastTakenAt + pacing.intervalMs - now : 0,
+          bucket.tokens >= 1 ? 0 : (1 - bucket.tokens) / bucket.rate
+        )
+      );
+      if (waitMs <= 0) {
+        bucket.tokens -= 1;
+        bucket.lastTakenAt = now;
+        return;
+      }
+      logger.info("Rate limit reached, waiting", { key: bucket.key, waitMs });
+      await sleep(waitMs, undefined, { signal });
+    }
   }
 
-  async checkLimit(key) {
+  getStats() {
     const now = Date.now();
-    const windowStart = now - this.windowMs;
+    const stats = {};
+    for (const bucket of this.buckets.values()) {
+      this.refill(bucket, now);
+      stats[bucket.key] = {
+        workspace: bucket.workspace,
+        group: bucket.group,
+        perMinute: Math.round(bucket.rate * 60000 * 100) / 100,
+        configuredPerMinute: Math.round(bucket.baseRate * 60000 * 100) / 100,
+        burst: bucket.capacity,
+        tokens: Math.floor(Math.max(bucket.tokens, 0) * 100) / 100,
+        queued: bucket.queued,
+        throttled: bucket.rate < bucket.baseRate,
+        throttles: bucket.throttles,
+        pausedForMs: Math.max(bucket.pausedUntil - now, 0),
+      };
+    }
+    return stats;
+  }
+}
+
+const rateLimiter = new RateLimiter(
+  parseRateLimits(CONFIG.rateLimits),
+  CONFIG.rateLimitRecoveryMs
+);
+
+// ---------------------------------------------------------------------------
+// Batch Concurrency Pool
+// ---------------------------------------------------------------------------
+
+// Caps how many batch items are in flight at once, across every tool call
+// sharing the pool. Each item's API calls still go through the rate limiter.
+class ConcurrencyPool {
+  constructor(limit = 4) {
+    // A NaN or zero limit would queue every task forever
+    this.limit = Number.isInteger(limit) && limit > 0 ? limit : 4;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(task) {
+    if (this.active < this.limit) {
+      this.active += 1;
+    } else {
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+    try {
+      return await task();
+    } finally {
+      // Hand the slot straight to the next waiter, if any
+      const next = this.waiting.shift();
+      if (next) next();
+      else this.active -= 1;
+    }
+  }
+}
+
+const batchPool = new ConcurrencyPool(CONFIG.batchConcurrency);
+
+// Runs fn over items through the pool. Returns one entry per item in input
+// order: { value } or { error }, or undefined for items skipped after the
+// signal aborted. onSettled(index, entry, settledCount) fires as each ends.
+async function mapWithPool(items, fn, { signal, onSettled } = {}) {
+  const entries = new Array(items.length);
+  let settled = 0;
+  await Promise.all(
+    items.map((item, index) =>
+      batchPool.run(async () => {
+        if (signal?.aborted) return;
+        try {
+          entries[index] = { value: await fn(item, index) };
+        } catch (error) {
+          if (isCancellation(error, signal)) return;
+          entries[index] = { error };
+        }
+        settled += 1;
+        onSettled?.(index, entries[index], settled);
+      })
+    )
+  );
+  return entries;
+}
+
+// ---------------------------------------------------------------------------
+// Circuit Breaker
+// ---------------------------------------------------------------------------
+
+// One circuit per endpoint path. Closed lets calls through; after
+// `failureThreshold` consecutive failures it opens and rejects calls
+// immediately; once `resetTimeoutMs` has passed it goes half-open and lets a
+// single probe through, which either closes it again or re-opens it.
+class CircuitBreaker {
+  constructor(failureThreshold = 5, resetTimeoutMs = 30000) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.circuits = new Map();
+  }
+
+  get enabled() {
+    return this.failureThreshold > 0;
+  }
+
+  circuit(key) {
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        state: "closed",
+        failures: 0,
+        openedAt: null,
+        probing: false,
+        lastError: null,
+        timesOpened: 0,
+      });
+    }
+    return this.circuits.get(key);
+  }
 
-    if (!this.requests.has(key)) {
-      this.requests.set(key, []);
+  check(key) {
+    if (!this.enabled) return;
+    const circuit = this.circuit(key);
+    if (circuit.state === "closed") return;
+    const retryInMs = circuit.openedAt + this.resetTimeoutMs - Date.now();
+    if (circuit.state === "open" && retryInMs <= 0) {
+      circuit.state = "half_open";
+      logger.info("Circuit half-open, probing", { endpoint: key });
     }
+    if (circuit.state === "open" || circuit.probing) {
+      if (metrics) metrics.increment("circuit_rejections");
+      const waitMs = Math.max(retryInMs, 0);
+      throw new CircuitOpenError(key, waitMs, circuit.lastError);
+    }
+    circuit.probing = true;
+  }
 
-    const requests = this.requests.get(key);
-    const recentRequests = requests.filter((time) => time > windowStart);
+  recordSuccess(key) {
+    if (!this.enabled) return;
+    const circuit = this.circuit(key);
+    if (circuit.state !== "closed") {
+      logger.info("Circuit closed", { endpoint: key });
+    }
+    circuit.state = "closed";
+    circuit.failures = 0;
+    circuit.probing = false;
+  }
 
-    if (recentRequests.length >= this.maxRequests) {
-      const oldestRequest = Math.min(...recentRequests);
-      const waitTime = this.windowMs - (now - oldestRequest);
-      await sleep(waitTime);
+  recordFailure(key, error) {
+    if (!this.enabled) return;
+    const circuit = this.circuit(key);
+    circuit.failures++;
+    circuit.lastError = error;
+    circuit.probing = false;
+    if (
+      circuit.state === "half_open" ||
+      (circuit.state === "closed" && circuit.failures >= this.failureThreshold)
+    ) {
+      circuit.state = "open";
+      circuit.openedAt = Date.now();
+      circuit.timesOpened++;
+      if (metrics) metrics.increment("circuit_opened");
+      logger.warn("Circuit opened", {
+        endpoint: key,
+        failures: circuit.failures,
+        error,
+        retryInMs: this.resetTimeoutMs,
+      });
     }
+  }
 
-    recentRequests.push(now);
-    this.requests.set(key, recentRequests);
+  // The call ended without saying anything about the endpoint's health
+  // (cancelled, or rate limited), so free the probe slot for the next caller
+  release(key) {
+    if (!this.enabled) return;
+    this.circuit(key).probing = false;
+  }
+
+  getStats() {
+    const now = Date.now();
+    const stats = {};
+    for (const [key, circuit] of this.circuits) {
+      stats[key] = {
+        state: circuit.state,
+        failures: circuit.failures,
+        timesOpened: circuit.timesOpened,
+        ...(circuit.lastError && { lastError: circuit.lastError }),
+        ...(circuit.state === "open" && {
+          retryInMs: Math.max(circuit.openedAt + this.resetTimeoutMs - now, 0),
+        }),
+      };
+    }
+    return stats;
   }
 }
 
-const rateLimiter = new RateLimiter();
+const circuitBreaker = new CircuitBreaker(
+  CONFIG.circuitFailureThreshold,
+  CONFIG.circuitResetMs
+);
+
+// Collapses IDs, domain names and emails in a path so that every call to the
+// same endpoint shares one circuit
+function circuitKey(path) {
+  return path
+    .split("?")[0]
+    .split("/")
+    .map((segment) =>
+      /[\d.@]/.test(segment) && !/^v\d+$/.test(segment) ? "{id}" : segment
+    )
+    .join("/");
+}
 
 // ---------------------------------------------------------------------------
 // Export System Documentation and Flows
@@ -2435,75 +3146,290 @@ const API_GUIDANCE = {
 };
 
 // ---------------------------------------------------------------------------
-// Endpoint manifest loading
+// Record/replay cassettes
 // ---------------------------------------------------------------------------
 
-async function loadEndpoints() {
-  const startTime = Date.now();
-  try {
-    logger.info("Loading endpoint manifest from docs.zapmail.ai");
+// ZAPMAIL_CASSETTE=record saves every API and docs request with its response
+// to ZAPMAIL_CASSETTE_PATH; ZAPMAIL_CASSETTE=replay answers them from that
+// file without touching the network. Secrets are redacted before saving.
 
-    const resp = await fetch("https://docs.zapmail.ai/llms.txt", {
-      headers: { "user-agent": "zapmail-mcp-server/2.0" },
-      signal: AbortSignal.timeout(CONFIG.timeoutMs),
-    });
+class CassetteMissError extends ZapmailError {
+  constructor(method, url) {
+    super(
+      `No recorded response for ${method} ${url} in ${CONFIG.cassettePath}`,
+      "CASSETTE_MISS",
+      { method, url }
+    );
+    this.name = "CassetteMissError";
+  }
+}
 
-    if (!resp.ok) {
-      throw new ApiError(
-        `Failed to load endpoint manifest: HTTP ${resp.status}`,
-        resp.status
-      );
-    }
+const REDACTED = "[REDACTED]";
+const SECRET_HEADERS = new Set([
+  "x-auth-zapmail",
+  "authorization",
+  "cookie",
+  "set-cookie",
+]);
+const SECRET_FIELD = /pass(word)?|secret|token|api_?key|credential/i;
 
-    const text = await resp.text();
-    const endpoints = [];
-    const regex =
-      /\[([^\]]+)\]\(https:\/\/docs\.zapmail\.ai\/([^)]+?)\.md\):\s*(.*)/g;
-    let match;
+// Headers that change the answer, so replay tells requests apart by them
+const CASSETTE_MATCH_HEADERS = ["x-workspace-key", "x-service-provider"];
 
-    while ((match = regex.exec(text)) !== null) {
-      const title = match[1].trim();
-      const slug = match[2].trim();
-      const description = match[3].trim();
-      endpoints.push({ slug, title, description });
-    }
+function redactHeaders(headers) {
+  const out = {};
+  for (const [name, value] of new Headers(headers)) {
+    out[name] = SECRET_HEADERS.has(name) ? REDACTED : value;
+  }
+  return out;
+}
 
-    const duration = Date.now() - startTime;
-    logger.info(`Loaded ${endpoints.length} endpoints`, {
-      duration,
-      count: endpoints.length,
-    });
+function redactValue(value) {
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [
+      k,
+      SECRET_FIELD.test(k) && typeof v !== "object" ? REDACTED : redactValue(v),
+    ])
+  );
+}
 
-    if (metrics) {
-      metrics.recordTimer("endpoint_load_duration", duration);
-      metrics.increment("endpoints_loaded", endpoints.length);
-    }
+// Bodies are stored parsed when they are JSON so fixtures stay readable
+function redactBody(text) {
+  if (!text) return null;
+  try {
+    return redactValue(JSON.parse(text));
+  } catch {
+    return text;
+  }
+}
 
-    return endpoints;
-  } catch (err) {
-    const duration = Date.now() - startTime;
-    logger.error("Failed to load endpoint manifest", {
-      error: err.message,
-      duration,
-    });
+function cassetteRoute({ method, url, headers }) {
+  const match = CASSETTE_MATCH_HEADERS.map((name) => headers[name] ?? "");
+  return JSON.stringify([method, url, match]);
+}
 
-    if (metrics) {
-      metrics.increment("endpoint_load_errors");
-      metrics.recordTimer("endpoint_load_duration", duration);
-    }
+function cassetteKey(request) {
+  return JSON.stringify([cassetteRoute(request), request.body]);
+}
 
-    return [];
+function loadCassette() {
+  if (CONFIG.cassetteMode !== "replay") return [];
+  try {
+    return JSON.parse(readFileSync(CONFIG.cassettePath, "utf8")).interactions;
+  } catch (error) {
+    throw new ValidationError(
+      `Cannot read cassette ${CONFIG.cassettePath}: ${error.message}`,
+      "ZAPMAIL_CASSETTE_PATH",
+      CONFIG.cassettePath
+    );
   }
 }
 
-let ENDPOINTS = [];
-let DYNAMIC_TOOL_MAP = {};
-const RESERVED_NAMES = new Set([
-  "set_context",
-  "wallet_balance",
-  "list_workspaces",
-  "list_domains",
-  "check_domain_availability",
+const CASSETTE = {
+  interactions: loadCassette(),
+  // Replay position per request key (and per route for the fallback):
+  // repeated requests get the recorded responses in order, then the last
+  // one again
+  played: new Map(),
+  // Recorded interactions not yet written to disk
+  dirty: false,
+};
+
+if (CONFIG.cassetteMode === "record" || CONFIG.cassetteMode === "replay") {
+  logger.info(`Cassette ${CONFIG.cassetteMode} mode`, {
+    path: CONFIG.cassettePath,
+    interactions: CASSETTE.interactions.length,
+  });
+} else if (CONFIG.cassetteMode) {
+  logger.warn("Unknown ZAPMAIL_CASSETTE mode, ignoring", {
+    mode: CONFIG.cassetteMode,
+  });
+}
+
+function describeRequest(url, init = {}) {
+  return {
+    method: (init.method || "GET").toUpperCase(),
+    url: String(url),
+    headers: redactHeaders(init.headers),
+    body: redactBody(init.body),
+  };
+}
+
+function replayResponse(url, init) {
+  const request = describeRequest(url, init);
+  // Same body first. Bodies with generated values (random mailbox names)
+  // never repeat, so otherwise the next recording for the route is used
+  let key = cassetteKey(request);
+  let matches = CASSETTE.interactions.filter(
+    (interaction) => cassetteKey(interaction.request) === key
+  );
+  if (matches.length === 0) {
+    key = cassetteRoute(request);
+    matches = CASSETTE.interactions.filter(
+      (interaction) => cassetteRoute(interaction.request) === key
+    );
+  }
+  if (matches.length === 0) {
+    throw new CassetteMissError(request.method, request.url);
+  }
+  const index = CASSETTE.played.get(key) ?? 0;
+  CASSETTE.played.set(key, index + 1);
+  const { status, statusText, headers, body } =
+    matches[Math.min(index, matches.length - 1)].response;
+  const text =
+    body === null || typeof body === "string" ? body : JSON.stringify(body);
+  // Responses with these statuses must not carry a body
+  const nullBody = [101, 204, 205, 304].includes(status);
+  return new Response(nullBody ? null : text, { status, statusText, headers });
+}
+
+async function recordResponse(url, init) {
+  const resp = await fetch(url, init);
+  const text = await resp.clone().text();
+  CASSETTE.interactions.push({
+    request: describeRequest(url, init),
+    response: {
+      status: resp.status,
+      statusText: resp.statusText,
+      headers: redactHeaders(resp.headers),
+      body: redactBody(text),
+    },
+  });
+  scheduleCassetteFlush();
+  return resp;
+}
+
+// Recordings are written at most once a second and again on exit, rather
+// than rewriting the whole file after every request
+let cassetteFlushTimer = null;
+
+function scheduleCassetteFlush() {
+  CASSETTE.dirty = true;
+  if (cassetteFlushTimer) return;
+  cassetteFlushTimer = setTimeout(flushCassette, 1000);
+  cassetteFlushTimer.unref();
+}
+
+function flushCassette() {
+  clearTimeout(cassetteFlushTimer);
+  cassetteFlushTimer = null;
+  if (!CASSETTE.dirty) return;
+  CASSETTE.dirty = false;
+  try {
+    writeFileSync(
+      CONFIG.cassettePath,
+      JSON.stringify(
+        { version: 1, interactions: CASSETTE.interactions },
+        null,
+        2
+      )
+    );
+  } catch (error) {
+    logger.error("Cassette write failed", {
+      path: CONFIG.cassettePath,
+      error: error.message,
+    });
+  }
+}
+
+if (CONFIG.cassetteMode === "record") {
+  process.on("exit", flushCassette);
+  // Signals skip "exit" handlers unless the process exits itself
+  process.once("SIGINT", () => process.exit(130));
+  process.once("SIGTERM", () => process.exit(143));
+}
+
+// Drop-in fetch for Zapmail API and docs requests
+async function cassetteFetch(url, init) {
+  if (CONFIG.cassetteMode === "replay") {
+    init?.signal?.throwIfAborted();
+    return replayResponse(url, init);
+  }
+  if (CONFIG.cassetteMode === "record") return await recordResponse(url, init);
+  return await fetch(url, init);
+}
+
+// ---------------------------------------------------------------------------
+// Endpoint manifest loading
+// ---------------------------------------------------------------------------
+
+async function fetchManifest() {
+  const resp = await cassetteFetch("https://docs.zapmail.ai/llms.txt", {
+    headers: { "user-agent": "zapmail-mcp-server/2.0" },
+    signal: AbortSignal.timeout(CONFIG.timeoutMs),
+  });
+
+  if (!resp.ok) {
+    throw new ApiError(
+      `Failed to load endpoint manifest: HTTP ${resp.status}`,
+      resp.status
+    );
+  }
+
+  return await resp.text();
+}
+
+// fresh bypasses a disk-cached copy (reloads must see the live manifest)
+async function loadEndpoints({ fresh = false } = {}) {
+  const startTime = Date.now();
+  try {
+    logger.info("Loading endpoint manifest from docs.zapmail.ai");
+
+    const text = await withDiskCache("manifest", "llms.txt", fetchManifest, {
+      fresh,
+      // A stale copy was served; rebuild the tools from the refreshed one
+      onRefresh: () => reloadEndpointsOnce({ fresh: false }),
+    });
+    const endpoints = [];
+    const regex =
+      /\[([^\]]+)\]\(https:\/\/docs\.zapmail\.ai\/([^)]+?)\.md\):\s*(.*)/g;
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      const title = match[1].trim();
+      const slug = match[2].trim();
+      const description = match[3].trim();
+      endpoints.push({ slug, title, description });
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(`Loaded ${endpoints.length} endpoints`, {
+      duration,
+      count: endpoints.length,
+    });
+
+    if (metrics) {
+      metrics.recordTimer("endpoint_load_duration", duration);
+      metrics.increment("endpoints_loaded", endpoints.length);
+    }
+
+    return endpoints;
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    logger.error("Failed to load endpoint manifest", {
+      error: err.message,
+      duration,
+    });
+
+    if (metrics) {
+      metrics.increment("endpoint_load_errors");
+      metrics.recordTimer("endpoint_load_duration", duration);
+    }
+
+    return [];
+  }
+}
+
+let ENDPOINTS = [];
+let DYNAMIC_TOOL_MAP = {};
+const RESERVED_NAMES = new Set([
+  "set_context",
+  "wallet_balance",
+  "list_workspaces",
+  "list_domains",
+  "check_domain_availability",
   "purchase_domains",
   "create_mailboxes_for_zero_domains",
   "add_third_party_account",
@@ -2513,6 +3439,7 @@ const RESERVED_NAMES = new Set([
   "generate_domains",
   "check_domain_availability_batch",
   "plan_and_execute",
+  "reload_endpoints",
 ]);
 
 function buildDynamicToolMap() {
@@ -2534,6 +3461,64 @@ const ENDPOINTS_PROMISE = loadEndpoints().then((list) => {
   buildDynamicToolMap();
 });
 
+let manifestReloadPromise = null;
+
+async function reloadEndpoints({ fresh = true } = {}) {
+  await ENDPOINTS_PROMISE;
+  const list = await loadEndpoints({ fresh });
+  const before = DYNAMIC_TOOL_MAP;
+  // loadEndpoints() swallows failures and returns [], so never let a failed
+  // reload wipe out a manifest that loaded fine earlier
+  if (list.length === 0 && ENDPOINTS.length > 0) {
+    logger.warn("Manifest reload returned no endpoints; keeping previous set");
+    return { changed: false, added: [], removed: [], kept: true };
+  }
+  ENDPOINTS = list;
+  buildDynamicToolMap();
+
+  const added = Object.keys(DYNAMIC_TOOL_MAP).filter(
+    (name) => before[name] !== DYNAMIC_TOOL_MAP[name]
+  );
+  const removed = Object.keys(before).filter(
+    (name) => !Object.prototype.hasOwnProperty.call(DYNAMIC_TOOL_MAP, name)
+  );
+  const changed = added.length > 0 || removed.length > 0;
+  if (changed) {
+    logger.info("Dynamic tool set changed", {
+      added: added.length,
+      removed: removed.length,
+    });
+    notifyToolListChanged();
+  }
+  return { changed, added, removed, kept: false };
+}
+
+function notifyToolListChanged() {
+  if (metrics) metrics.increment("tool_list_changes");
+  // Every connected client cares, not just the caller that triggered it
+  defaultSink({
+    jsonrpc: "2.0",
+    method: "notifications/tools/list_changed",
+  });
+}
+
+function reloadEndpointsOnce(options) {
+  if (!manifestReloadPromise) {
+    manifestReloadPromise = reloadEndpoints(options).finally(() => {
+      manifestReloadPromise = null;
+    });
+  }
+  return manifestReloadPromise;
+}
+
+if (CONFIG.manifestReloadMs > 0) {
+  setInterval(() => {
+    reloadEndpointsOnce().catch((err) =>
+      logger.error("Manifest reload failed", { error: err.message })
+    );
+  }, CONFIG.manifestReloadMs).unref();
+}
+
 // ---------------------------------------------------------------------------
 // Utilities
 // ---------------------------------------------------------------------------
@@ -2545,15 +3530,115 @@ function buildHeaders(overrides = {}) {
     "x-auth-zapmail": apiKey || "",
     "user-agent": "zapmail-mcp-server/2.0",
   };
-  const ws = overrides.workspaceKey ?? CONTEXT.workspaceKey;
+  const ws = overrides.workspaceKey ?? currentContext().workspaceKey;
   const sp = (
-    overrides.serviceProvider ?? CONTEXT.serviceProvider
+    overrides.serviceProvider ?? currentContext().serviceProvider
   )?.toUpperCase();
   if (ws) headers["x-workspace-key"] = ws;
   if (sp) headers["x-service-provider"] = sp;
   return headers;
 }
 
+// Milliseconds to wait from a Retry-After header (delta-seconds or HTTP date)
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// X-RateLimit-* (or IETF RateLimit-*) headers. The reset value may be
+// delta-seconds or an epoch timestamp in seconds or milliseconds.
+function parseRateLimitHeaders(headers) {
+  const read = (name) => {
+    const value =
+      headers.get(`x-ratelimit-${name}`) ?? headers.get(`ratelimit-${name}`);
+    const number = value === null ? NaN : Number(value);
+    return Number.isFinite(number) ? number : null;
+  };
+  const limit = read("limit");
+  const remaining = read("remaining");
+  const reset = read("reset");
+  if (limit === null && remaining === null) return null;
+  let resetMs = null;
+  if (reset !== null) {
+    if (reset > 1e12) resetMs = reset - Date.now();
+    else if (reset > 1e9) resetMs = reset * 1000 - Date.now();
+    else resetMs = reset * 1000;
+    resetMs = Math.max(0, resetMs);
+  }
+  return { limit, remaining, resetMs };
+}
+
+// Exponential backoff with "equal jitter": half the step is fixed, half
+// random, so concurrent retries spread out without ever retrying instantly
+function backoffDelay(attempt) {
+  const step = Math.min(
+    CONFIG.retryMaxDelayMs,
+    CONFIG.retryBaseDelayMs * 2 ** attempt
+  );
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+// Connection failures that happen before the request is sent, so even a
+// POST can be sent again without risk of applying it twice
+const UNSENT_ERROR_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]);
+
+function wasNeverSent(err) {
+  return UNSENT_ERROR_CODES.has(err?.cause?.code ?? err?.code);
+}
+
+// GET responses depend on the workspace and provider headers as well as the
+// URL, so switching context never serves another workspace's data
+function apiCacheKey(method, path, query, headers) {
+  return [
+    method,
+    path,
+    JSON.stringify(query || {}),
+    headers["x-workspace-key"] || "",
+    headers["x-service-provider"] || "",
+  ].join(":");
+}
+
+// "/v2/domains/buy" -> "domains"
+function apiResource(path) {
+  return path
+    .split("?")[0]
+    .split("/")
+    .find((segment) => segment && !/^v\d+$/.test(segment));
+}
+
+// Other resources whose cached reads a write also makes stale: purchases
+// spend from the wallet, mailbox changes alter per-domain mailbox counts
+const CACHE_INVALIDATES = {
+  domains: ["wallet", "mailboxes"],
+  mailboxes: ["domains"],
+  wallet: ["billing"],
+  billing: ["wallet"],
+  subscriptions: ["wallet", "billing"],
+};
+
+// POST endpoints that only look things up
+const READ_ONLY_POSTS = new Set(["/v2/domains/available"]);
+
+async function invalidateCacheAfterWrite(path) {
+  if (READ_ONLY_POSTS.has(path)) return;
+  const resource = apiResource(path);
+  const stale = new Set([resource, ...(CACHE_INVALIDATES[resource] || [])]);
+  // Keys are "METHOD:/path:..." (see apiCacheKey)
+  const removed = cache?.deleteWhere((key) =>
+    stale.has(apiResource(key.split(":")[1]))
+  );
+  if (removed > 0) {
+    logger.debug("Cache invalidated after write", { path, removed });
+  }
+  // Domain writes change both the domain list and what is still available
+  if (diskCache && stale.has("domains")) {
+    await diskCache.invalidate(["domains", "availability"]);
+  }
+}
+
 function makeId() {
   return crypto.randomBytes(8).toString("hex");
 }
@@ -2567,6 +3652,11 @@ async function apiFetch(
     body,
     timeoutMs = CONFIG.timeoutMs,
     maxRetries = CONFIG.maxRetries,
+    signal,
+    skipCache = false,
+    idempotent = method !== "POST" && method !== "PATCH",
+    idempotencyKey,
+    verifyOutcome,
   } = {}
 ) {
   const startTime = Date.now();
@@ -2576,13 +3666,24 @@ async function apiFetch(
     // Validate inputs
     validateString(path, "path");
     validateString(method, "method");
+    signal?.throwIfAborted();
+
+    const apiPath = path.startsWith("/") ? path : `/${path}`;
+    const mergedHeaders = { ...buildHeaders(headers), ...headers };
+    if (idempotencyKey) mergedHeaders["idempotency-key"] = idempotencyKey;
 
-    // Rate limiting
-    await rateLimiter.checkLimit("api");
+    // Rate limiting (replayed requests never reach Zapmail)
+    const limitScope = {
+      workspace: mergedHeaders["x-workspace-key"] || "default",
+      group: rateLimitGroup(method, apiPath),
+    };
+    if (CONFIG.cassetteMode !== "replay") {
+      await rateLimiter.acquire(limitScope, signal);
+    }
+    const cacheKey = apiCacheKey(method, apiPath, query, mergedHeaders);
 
-    // Check cache for GET requests
-    if (method === "GET" && cache) {
-      const cacheKey = `${method}:${path}:${JSON.stringify(query || {})}`;
+    // Check cache for GET requests (the fresh response is still cached below)
+    if (method === "GET" && cache && !skipCache) {
       const cached = cache.get(cacheKey);
       if (cached) {
         logger.debug("Cache hit", { requestId, path, method });
@@ -2595,23 +3696,20 @@ async function apiFetch(
     }
 
     const apiKey = getApiKey();
-    if (!apiKey)
+    if (!apiKey && CONFIG.cassetteMode !== "replay")
       throw new ValidationError(
         "ZAPMAIL_API_KEY not configured",
         "apiKey",
         null
       );
 
-    const url = new URL(
-      `${API_BASE}${path.startsWith("/") ? path : `/${path}`}`
-    );
+    const url = new URL(`${API_BASE}${apiPath}`);
     if (query && typeof query === "object") {
       for (const [k, v] of Object.entries(query)) {
         if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
       }
     }
 
-    const mergedHeaders = { ...buildHeaders(headers), ...headers };
     const payload =
       body !== undefined && body !== null && method !== "GET"
         ? JSON.stringify(body)
@@ -2624,12 +3722,60 @@ async function apiFetch(
       hasBody: !!payload,
     });
 
+    // A non-idempotent request that failed once it reached Zapmail may still
+    // have been applied. verifyOutcome() resolves to the existing result if it
+    // was, or undefined if a retry is safe; without it we stop and report.
+    const settleAmbiguous = async (cause) => {
+      const details = {
+        method,
+        path,
+        cause: cause.message,
+        ...(idempotencyKey && { idempotencyKey }),
+      };
+      if (!verifyOutcome) {
+        throw new OutcomeUnknownError(
+          `${method} ${path} failed and may or may not have been applied: ${cause.message}`,
+          details
+        );
+      }
+      let existing;
+      try {
+        // Not cancellable: the caller needs to know what happened either way
+        existing = await verifyOutcome({});
+      } catch (verifyErr) {
+        throw new OutcomeUnknownError(
+          `${method} ${path} failed and could not be verified: ${verifyErr.message}`,
+          { ...details, verifyError: verifyErr.message }
+        );
+      }
+      logger.warn(
+        existing === undefined
+          ? "Request verified as not applied, retrying"
+          : "Request verified as applied despite failure",
+        { requestId, method, path, cause: cause.message }
+      );
+      if (existing !== undefined) await invalidateCacheAfterWrite(apiPath);
+      return existing;
+    };
+
+    const endpoint = circuitKey(apiPath);
+
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      signal?.throwIfAborted();
+      // Checked per attempt so a circuit that opens mid-retry stops the loop
+      circuitBreaker.check(endpoint);
       const controller = new AbortController();
       const timer = setTimeout(() => controller.abort(), timeoutMs);
+      // A non-idempotent request is left to finish once sent: aborting it
+      // would leave a charge that may have happened unreported
+      const onAbort = () => {
+        if (idempotent) controller.abort(signal.reason);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      let awaitingResponse = true;
 
       try {
-        const resp = await fetch(url, {
+        const resp = await cassetteFetch(url, {
           method,
           headers: mergedHeaders,
           body: payload,
@@ -2637,6 +3783,7 @@ async function apiFetch(
         });
 
         const text = await resp.text();
+        awaitingResponse = false;
         let json;
         try {
           json = text ? JSON.parse(text) : null;
@@ -2649,21 +3796,63 @@ async function apiFetch(
           });
         }
 
+        if (resp.status >= 500) {
+          circuitBreaker.recordFailure(endpoint, `HTTP ${resp.status}`);
+        } else if (resp.status === 429) {
+          circuitBreaker.release(endpoint);
+        } else {
+          circuitBreaker.recordSuccess(endpoint);
+        }
+
+        const serverLimits = parseRateLimitHeaders(resp.headers);
+        if (serverLimits) rateLimiter.observe(limitScope, serverLimits);
+        if (resp.status === 429) rateLimiter.throttle(limitScope);
+
         if (resp.status === 429 || resp.status >= 500) {
-          if (attempt < maxRetries) {
-            const delay = Math.min(2500 * (attempt + 1), 9000);
+          // 429 and 503 mean the request was turned away unprocessed
+          if (!idempotent && resp.status !== 429 && resp.status !== 503) {
+            clearTimeout(timer);
+            signal?.removeEventListener("abort", onAbort);
+            const msg = json?.message || resp.statusText || text;
+            const existing = await settleAmbiguous(
+              new ApiError(`HTTP ${resp.status}: ${msg}`, resp.status, json)
+            );
+            if (existing !== undefined) return existing;
+          }
+          const retryAfter = parseRetryAfter(resp.headers.get("retry-after"));
+          if (retryAfter !== null && retryAfter > CONFIG.retryAfterMaxMs) {
+            logger.warn("Retry-After exceeds ceiling, not retrying", {
+              requestId,
+              status: resp.status,
+              retryAfter,
+              ceiling: CONFIG.retryAfterMaxMs,
+            });
+          } else if (attempt < maxRetries) {
+            // Honour the server's wait (plus a little jitter so queued
+            // callers don't all return at once), else back off exponentially
+            const delay =
+              retryAfter !== null
+                ? retryAfter + Math.round(Math.random() * 1000)
+                : backoffDelay(attempt);
+            if (resp.status === 429) {
+              rateLimiter.pauseUntil(limitScope, Date.now() + delay);
+            }
             logger.warn("Retrying request", {
               requestId,
               attempt,
               status: resp.status,
               delay,
+              ...(retryAfter !== null && { retryAfter }),
             });
-            await sleep(delay);
+            clearTimeout(timer);
+            signal?.removeEventListener("abort", onAbort);
+            await sleep(delay, undefined, { signal });
             continue;
           }
         }
 
         clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
 
         if (!resp.ok) {
           const msg = json?.message || resp.statusText || text;
@@ -2687,15 +3876,43 @@ async function apiFetch(
 
         const result = json ?? { raw: text };
 
-        // Cache successful GET requests
-        if (method === "GET" && cache && resp.ok) {
-          const cacheKey = `${method}:${path}:${JSON.stringify(query || {})}`;
-          cache.set(cacheKey, result);
+        // Cache successful GET requests; a successful write makes cached
+        // reads of what it touched stale
+        if (method === "GET") {
+          cache?.set(cacheKey, result);
+        } else {
+          await invalidateCacheAfterWrite(apiPath);
         }
 
         return result;
       } catch (err) {
         clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+
+        // Never retry once the caller has cancelled (a request that may have
+        // been applied is settled below first)
+        const mayHaveApplied =
+          !idempotent && awaitingResponse && !wasNeverSent(err);
+        if (signal?.aborted && !mayHaveApplied) {
+          circuitBreaker.release(endpoint);
+          throw signal.reason;
+        }
+
+        // HTTP errors were already retried above if they were retryable, and
+        // unknown outcomes, open circuits and cassette misses must not be
+        // retried at all. A miss never reached the endpoint, so its probe
+        // slot is freed.
+        if (err instanceof ZapmailError) {
+          circuitBreaker.release(endpoint);
+          throw err;
+        }
+
+        circuitBreaker.recordFailure(endpoint, err.message);
+
+        if (!idempotent && !wasNeverSent(err)) {
+          const existing = await settleAmbiguous(err);
+          if (existing !== undefined) return existing;
+        }
 
         if (attempt === maxRetries) {
           const duration = Date.now() - startTime;
@@ -2716,16 +3933,27 @@ async function apiFetch(
           throw err;
         }
 
+        const delay = backoffDelay(attempt);
         logger.warn("Retrying request after error", {
           requestId,
           attempt,
           error: err.message,
+          delay,
         });
-        await sleep(700 * (attempt + 1));
+        await sleep(delay, undefined, { signal });
       }
     }
-  } catch (err) {
+  } catch (caught) {
+    const err =
+      signal?.aborted && !(caught instanceof OutcomeUnknownError)
+        ? signal.reason
+        : caught;
     const duration = Date.now() - startTime;
+    if (err instanceof CancelledError) {
+      logger.info("API request cancelled", { requestId, method, path });
+      if (metrics) metrics.increment("api_requests_cancelled");
+      throw err;
+    }
     logger.error("API request failed", {
       requestId,
       method: method || "UNKNOWN",
@@ -2743,16 +3971,55 @@ async function apiFetch(
   }
 }
 
-async function fetchDoc(slug) {
-  const url = `https://docs.zapmail.ai/${slug}.md`;
-  const resp = await fetch(url, {
-    headers: { "user-agent": "zapmail-mcp-server/2.0" },
-  });
-  if (!resp.ok)
-    throw new Error(
-      `Failed to fetch documentation for ${slug}. HTTP ${resp.status}`
-    );
-  return await resp.text();
+async function fetchDoc(slug, { signal } = {}) {
+  return await withDiskCache(
+    "docs",
+    slug,
+    async ({ signal }) => {
+      const url = `https://docs.zapmail.ai/${slug}.md`;
+      const resp = await cassetteFetch(url, {
+        headers: { "user-agent": "zapmail-mcp-server/2.0" },
+        signal,
+      });
+      if (!resp.ok)
+        throw new Error(
+          `Failed to fetch documentation for ${slug}. HTTP ${resp.status}`
+        );
+      return await resp.text();
+    },
+    { signal }
+  );
+}
+
+// Methods parseMethodAndPath found in endpoint docs, by slug. Filled as docs
+// are fetched; until then inferSlugMethod falls back to the slug's verb.
+const DOC_METHODS = new Map();
+
+const SLUG_VERB_METHODS = [
+  [/^(get|list|search|check|fetch|retrieve|view|download)-/, "GET"],
+  [/^(delete|remove|cancel|unassign|disconnect|revoke)-/, "DELETE"],
+  [/^(update|edit|change|set|enable|disable|rename)-/, "PUT"],
+  [/^(create|add|assign|connect|export|register|upload|buy|purchase)-/, "POST"],
+];
+
+// A documented method can change a dynamic tool's annotations (a "get-..."
+// slug that turns out to be a POST), so clients are told to re-list
+function recordDocMethod(slug, method) {
+  const before = annotationsForEndpoint(slug);
+  DOC_METHODS.set(slug, method);
+  if (
+    annotationsForEndpoint(slug) !== before &&
+    Object.values(DYNAMIC_TOOL_MAP).includes(slug)
+  ) {
+    notifyToolListChanged();
+  }
+}
+
+function inferSlugMethod(slug) {
+  if (DOC_METHODS.has(slug)) return DOC_METHODS.get(slug);
+  const leaf = slug.split("/").pop().toLowerCase();
+  const match = SLUG_VERB_METHODS.find(([pattern]) => pattern.test(leaf));
+  return match ? match[1] : null;
 }
 
 function parseMethodAndPath(doc) {
@@ -2791,12 +4058,17 @@ async function invokeSlug({
   query,
   body,
   headers,
+  signal,
+  idempotent,
+  idempotencyKey,
+  verifyOutcome,
 }) {
   let m = method;
   let p = path;
   if (!m || !p) {
-    const doc = await fetchDoc(slug);
+    const doc = await fetchDoc(slug, { signal });
     const guess = parseMethodAndPath(doc);
+    if (guess) recordDocMethod(slug, guess.method);
     if (!guess && (!m || !p)) {
       throw new Error(
         `Unable to determine method/path for slug '${slug}'. Provide both explicitly.`
@@ -2812,15 +4084,24 @@ async function invokeSlug({
   }
   if (!p.startsWith("/")) p = "/" + p;
   p = p.replace(/^\/api\//i, "/");
-  return await apiFetch(p, { method: m.toUpperCase(), query, body, headers });
+  return await apiFetch(p, {
+    method: m.toUpperCase(),
+    query,
+    body,
+    headers,
+    signal,
+    idempotent,
+    idempotencyKey,
+    verifyOutcome,
+  });
 }
 
 // ---------------------------------------------------------------------------
 // High-level primitives
 // ---------------------------------------------------------------------------
 
-async function getWalletBalance() {
-  const data = await apiFetch("/v2/wallet/balance", { method: "GET" });
+async function getWalletBalance({ signal } = {}) {
+  const data = await apiFetch("/v2/wallet/balance", { method: "GET", signal });
   const balance =
     typeof data?.walletBalance === "number"
       ? data.walletBalance
@@ -2832,66 +4113,125 @@ async function getWalletBalance() {
   return balance;
 }
 
-async function listWorkspaces() {
-  return await apiFetch("/v2/workspaces", { method: "GET" });
+async function listWorkspaces({ signal } = {}) {
+  return await apiFetch("/v2/workspaces", { method: "GET", signal });
 }
 
-async function listDomains({ contains, workspaceKey, serviceProvider } = {}) {
-  // Use input overrides if provided, otherwise fall back to global CONTEXT
-  const ws = workspaceKey ?? CONTEXT.workspaceKey;
-  const sp = serviceProvider ?? CONTEXT.serviceProvider;
+async function listDomains({
+  contains,
+  workspaceKey,
+  serviceProvider,
+  signal,
+  skipCache,
+} = {}) {
+  // Use input overrides if provided, otherwise fall back to the caller's context
+  const ws = workspaceKey ?? currentContext().workspaceKey;
+  const sp = serviceProvider ?? currentContext().serviceProvider;
   const headers = {
     ...(ws ? { "x-workspace-key": ws } : {}),
     ...(sp ? { "x-service-provider": String(sp).toUpperCase() } : {}),
   };
-  return await apiFetch("/v2/domains", {
-    method: "GET",
-    query: contains ? { contains } : undefined,
-    headers,
-  });
+  const fetchDomains = ({ signal }) =>
+    apiFetch("/v2/domains", {
+      method: "GET",
+      query: contains ? { contains } : undefined,
+      headers,
+      signal,
+      skipCache,
+    });
+  // Callers asking for live data (pollers, purchase checks) skip the disk too
+  if (skipCache) return await fetchDomains({ signal });
+  return await withDiskCache(
+    "domains",
+    accountCacheKey(ws, sp, contains ?? null),
+    fetchDomains,
+    { signal }
+  );
 }
 
 async function checkDomainAvailabilitySingle(
   domainName,
   years = 1,
   workspaceKey,
-  serviceProvider
+  serviceProvider,
+  { signal, skipCache = false } = {}
 ) {
-  // Use input overrides if provided, otherwise fall back to global CONTEXT
-  const ws = workspaceKey ?? CONTEXT.workspaceKey;
-  const sp = serviceProvider ?? CONTEXT.serviceProvider;
+  // Use input overrides if provided, otherwise fall back to the caller's context
+  const ws = workspaceKey ?? currentContext().workspaceKey;
+  const sp = serviceProvider ?? currentContext().serviceProvider;
   const headers = {
     ...(ws ? { "x-workspace-key": ws } : {}),
     ...(sp ? { "x-service-provider": String(sp).toUpperCase() } : {}),
   };
 
-  return await invokeSlug({
-    slug: "get-available-domains-for-registration-13521189e0",
-    method: "POST",
-    path: "/v2/domains/available",
-    body: { domainName, years },
-    headers,
-  });
+  const lookup = ({ signal }) =>
+    invokeSlug({
+      slug: "get-available-domains-for-registration-13521189e0",
+      method: "POST",
+      path: "/v2/domains/available",
+      body: { domainName, years },
+      headers,
+      signal,
+      // A lookup despite the POST, so it can be retried freely
+      idempotent: true,
+    });
+  if (skipCache) return await lookup({ signal });
+  return await withDiskCache(
+    "availability",
+    accountCacheKey(ws, sp, domainName.toLowerCase(), years),
+    lookup,
+    { signal }
+  );
 }
 
 async function checkDomainAvailabilityBatch(
   domains,
   years = 1,
   workspaceKey,
-  serviceProvider
+  serviceProvider,
+  { onProgress, signal } = {}
 ) {
-  const out = [];
-  for (const d of domains) {
-    const res = await checkDomainAvailabilitySingle(
-      d,
-      years,
-      workspaceKey,
-      serviceProvider
+  const entries = await mapWithPool(
+    domains,
+    (d) =>
+      checkDomainAvailabilitySingle(d, years, workspaceKey, serviceProvider, {
+        signal,
+      }),
+    {
+      signal,
+      onSettled: (index, entry, settled) =>
+        onProgress?.(
+          settled,
+          domains.length,
+          `${entry.error ? "Failed" : "Checked"} ${domains[index]}`
+        ),
+    }
+  );
+  // A failed lookup is reported next to its domain, not thrown
+  return entries.flatMap((entry, index) => {
+    if (!entry) return [];
+    const domainName = domains[index];
+    return entry.error
+      ? [{ domainName, error: entry.error.message }]
+      : [{ domainName, result: entry.value }];
+  });
+}
+
+// Settles an ambiguous create from what exists afterwards: everything that
+// was requested means it went through, nothing means a retry is safe, and
+// anything in between is reported as an unknown outcome.
+function settleFromExisting(requested, found, noun) {
+  if (found.length === 0) return undefined;
+  if (found.length < requested.length) {
+    throw new Error(
+      `only ${found.length} of ${requested.length} ${noun} exist afterwards`
     );
-    out.push({ domainName: d, result: res });
-    await sleep(150);
   }
-  return out;
+  return {
+    verified: true,
+    message: `The request failed, but all ${requested.length} ${noun} now exist`,
+    [noun]: found,
+  };
 }
 
 async function purchaseDomains({
@@ -2900,10 +4240,11 @@ async function purchaseDomains({
   preferWallet = true,
   workspaceKey,
   serviceProvider,
+  signal,
 }) {
-  // Use input overrides if provided, otherwise fall back to global CONTEXT
-  const ws = workspaceKey ?? CONTEXT.workspaceKey;
-  const sp = serviceProvider ?? CONTEXT.serviceProvider;
+  // Use input overrides if provided, otherwise fall back to the caller's context
+  const ws = workspaceKey ?? currentContext().workspaceKey;
+  const sp = serviceProvider ?? currentContext().serviceProvider;
   const headers = {
     ...(ws ? { "x-workspace-key": ws } : {}),
     ...(sp ? { "x-service-provider": String(sp).toUpperCase() } : {}),
@@ -2912,7 +4253,11 @@ async function purchaseDomains({
   let total = 0;
   const specs = [];
   for (const d of domains) {
-    const avail = await checkDomainAvailabilitySingle(d, years, ws, sp);
+    // Spending decisions use live prices, never a cached lookup
+    const avail = await checkDomainAvailabilitySingle(d, years, ws, sp, {
+      signal,
+      skipCache: true,
+    });
     let price = 0;
     const list = avail?.availableDomains || avail?.data?.availableDomains;
     if (Array.isArray(list) && list.length > 0) {
@@ -2932,19 +4277,48 @@ async function purchaseDomains({
   }
   let useWallet = false;
   if (preferWallet) {
-    const bal = await getWalletBalance();
+    const bal = await getWalletBalance({ signal });
     useWallet = bal >= total;
   }
+  // Last point where a cancellation costs nothing
+  signal?.throwIfAborted();
   const payload = {
     domains: specs.map(({ domainName, years }) => ({ domainName, years })),
     useWallet,
   };
+  const requested = specs.map(({ domainName }) => domainName.toLowerCase());
   const result = await invokeSlug({
     slug: "get-domains-purchase-payment-link-13521209e0",
     method: "POST",
     path: "/v2/domains/buy",
     body: payload,
     headers,
+    signal,
+    idempotencyKey: crypto.randomUUID(),
+    verifyOutcome: async ({ signal }) => {
+      const data = await listDomains({
+        workspaceKey: ws,
+        serviceProvider: sp,
+        signal,
+        skipCache: true,
+      });
+      const items =
+        data?.domains || data?.data?.domains || data?.data || data || [];
+      const owned = new Set(
+        (Array.isArray(items) ? items : []).map((d) =>
+          String(d.domain || d.name || "").toLowerCase()
+        )
+      );
+      const found = requested.filter((d) => owned.has(d));
+      // A bought domain can take a while to be listed, so its absence does
+      // not prove the purchase failed: report it as unknown, never buy again
+      if (found.length === 0) {
+        throw new Error(
+          `none of the ${requested.length} domains are listed yet; the purchase may still be processing`
+        );
+      }
+      return settleFromExisting(requested, found, "domains");
+    },
   });
   return { useWallet, total, result };
 }
@@ -2954,10 +4328,12 @@ async function createMailboxesForZeroDomains({
   generator,
   workspaceKey,
   serviceProvider,
+  onProgress,
+  signal,
 }) {
-  // Use input overrides if provided, otherwise fall back to global CONTEXT
-  const ws = workspaceKey ?? CONTEXT.workspaceKey;
-  const sp = serviceProvider ?? CONTEXT.serviceProvider;
+  // Use input overrides if provided, otherwise fall back to the caller's context
+  const ws = workspaceKey ?? currentContext().workspaceKey;
+  const sp = serviceProvider ?? currentContext().serviceProvider;
   const headers = {
     ...(ws ? { "x-workspace-key": ws } : {}),
     ...(sp ? { "x-service-provider": String(sp).toUpperCase() } : {}),
@@ -2966,6 +4342,9 @@ async function createMailboxesForZeroDomains({
   const domainsData = await listDomains({
     workspaceKey: ws,
     serviceProvider: sp,
+    signal,
+    // Must see domains bought moments ago, not a cached list
+    skipCache: true,
   });
   const items =
     domainsData?.domains ||
@@ -2979,10 +4358,15 @@ async function createMailboxesForZeroDomains({
     return count === 0;
   });
   const created = [];
-  for (const d of zeroDomains) {
+  const unknown = [];
+  for (const [index, d] of zeroDomains.entries()) {
+    if (signal?.aborted) break;
     const domainId = d.id || d.domainId || d.domainID;
     const domainName = d.domain || d.name;
-    if (!domainId || !domainName) continue;
+    if (!domainId || !domainName) {
+      onProgress?.(index + 1, zeroDomains.length, "Skipped domain without id");
+      continue;
+    }
 
     const mailboxes = generator(domainName, countPerDomain).map((m) => ({
       firstName: m.firstName,
@@ -2992,22 +4376,146 @@ async function createMailboxesForZeroDomains({
     }));
 
     const payload = { [domainId]: mailboxes };
-    const res = await invokeSlug({
-      slug: "assign-new-mailboxes-to-domains-13490321e0",
-      method: "POST",
-      path: "/v2/mailboxes",
-      body: payload,
-      headers,
-    });
-    created.push({ domain: domainName, domainId, response: res });
-    await sleep(250);
-  }
-  return { createdCount: created.length, details: created };
-}
-
-// ---------------------------------------------------------------------------
-// Name + username + domain generators (local, prompt resources exposed)
-// ---------------------------------------------------------------------------
+    const requested = mailboxes.map((m) => m.mailboxUsername.toLowerCase());
+    let res;
+    try {
+      res = await invokeSlug({
+        slug: "assign-new-mailboxes-to-domains-13490321e0",
+        method: "POST",
+        path: "/v2/mailboxes",
+        body: payload,
+        headers,
+        signal,
+        idempotencyKey: crypto.randomUUID(),
+        verifyOutcome: async ({ signal }) => {
+          const data = await apiFetch("/v2/mailboxes/list", {
+            headers,
+            signal,
+            skipCache: true,
+          });
+          const entry = (data?.data?.domains || data?.domains || []).find(
+            (x) => x.domain?.toLowerCase() === domainName.toLowerCase()
+          );
+          const existing = new Set(
+            (entry?.mailboxes || []).map((m) =>
+              String(m.username || m.mailboxUsername || "")
+                .split("@")[0]
+                .toLowerCase()
+            )
+          );
+          return settleFromExisting(
+            requested,
+            requested.filter((u) => existing.has(u)),
+            "mailboxes"
+          );
+        },
+      });
+    } catch (err) {
+      if (isCancellation(err, signal)) break;
+      // Other domains are independent, so record this one and carry on
+      if (err instanceof OutcomeUnknownError) {
+        unknown.push({ domain: domainName, domainId, error: err.message });
+        onProgress?.(
+          index + 1,
+          zeroDomains.length,
+          `Outcome unknown for ${domainName}`
+        );
+        continue;
+      }
+      throw err;
+    }
+    created.push({ domain: domainName, domainId, response: res });
+    onProgress?.(
+      index + 1,
+      zeroDomains.length,
+      `Created mailboxes on ${domainName}`
+    );
+    await interruptibleSleep(250, signal);
+  }
+  return {
+    createdCount: created.length,
+    details: created,
+    ...(unknown.length > 0 && { outcomeUnknown: unknown }),
+    ...(signal?.aborted && { cancelled: true }),
+  };
+}
+
+// One bulk_update_mailboxes entry -> the mailboxData item to send
+function mailboxUpdateData(update) {
+  validateString(update?.mailboxId, "mailboxId");
+
+  const updateData = {};
+  if (update.firstName)
+    updateData.firstName = validateString(update.firstName, "firstName");
+  if (update.lastName)
+    updateData.lastName = validateString(update.lastName, "lastName");
+  if (update.username)
+    updateData.username = validateString(update.username, "username");
+
+  if (Object.keys(updateData).length === 0) {
+    throw new ValidationError(
+      "No valid update fields provided",
+      "updates",
+      update
+    );
+  }
+  return { mailboxId: update.mailboxId, ...updateData };
+}
+
+// Sends several mailbox updates in one PUT and maps the response back to
+// one { data } or { error } per item
+async function putMailboxUpdates(items, { headers, signal }) {
+  const resp = await apiFetch("/v2/mailboxes", {
+    method: "PUT",
+    body: { mailboxData: items },
+    headers,
+    signal,
+  });
+  const updated = resp?.data?.mailboxes ?? resp?.mailboxes;
+  // Nothing per mailbox to match against; the whole chunk was accepted
+  if (!Array.isArray(updated)) return items.map(() => ({ data: resp }));
+  const byId = new Map(updated.map((m) => [m.id ?? m.mailboxId, m]));
+  return items.map((item) =>
+    byId.has(item.mailboxId)
+      ? { data: byId.get(item.mailboxId) }
+      : { error: "Not in the update response; check the mailbox" }
+  );
+}
+
+// A chunk the API rejects as invalid (400/422) is retried one mailbox at a
+// time, so only the bad record fails. Other errors (auth, 404, 429, 5xx) would
+// fail each single-mailbox retry the same way, so they fail the whole chunk.
+// Items left out after cancellation come back as undefined.
+async function updateMailboxChunk(items, { headers, signal }) {
+  try {
+    return await putMailboxUpdates(items, { headers, signal });
+  } catch (error) {
+    const status = error instanceof ApiError ? error.details.status : null;
+    const rejected = status === 400 || status === 422;
+    if (isCancellation(error, signal) || !rejected || items.length === 1) {
+      throw error;
+    }
+    logger.info("Mailbox update chunk rejected, retrying one at a time", {
+      size: items.length,
+      error: error.message,
+    });
+    const outcomes = [];
+    for (const item of items) {
+      try {
+        const [outcome] = await putMailboxUpdates([item], { headers, signal });
+        outcomes.push(outcome);
+      } catch (itemError) {
+        if (isCancellation(itemError, signal)) break;
+        outcomes.push({ error: itemError.message });
+      }
+    }
+    return outcomes;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Name + username + domain generators (local, prompt resources exposed)
+// ---------------------------------------------------------------------------
 
 function capitalize(str) {
   if (!str) return "";
@@ -3313,6 +4821,65 @@ function simpleParseMailboxCount(text) {
   return 3;
 }
 
+// Step inputs the planner could not fill in. Steps list them under `missing`;
+// plan_and_execute asks the user for them via elicitation before running the
+// step, and refuses to execute when the client cannot be asked.
+const STEP_INPUT_FIELDS = {
+  email: {
+    type: "string",
+    format: "email",
+    title: "Account email",
+    description: "Login email of the third-party account",
+  },
+  ids: {
+    type: "string",
+    title: "Mailbox IDs",
+    description: "Comma-separated IDs of the mailboxes to export",
+  },
+  contains: {
+    type: "string",
+    title: "Domain name",
+    description: "Domain whose mailboxes should be exported",
+  },
+};
+
+// Elicitation must not be used for sensitive information (MCP 2025-06-18),
+// so these only come from tool arguments
+const SENSITIVE_STEP_INPUTS = new Set(["password"]);
+
+// Placeholders older plans (and LLM plans) put in place of real values
+const PLACEHOLDER_VALUES = new Set([
+  "placeholder@example.com",
+  "APP_PASSWORD",
+  "REQUIRED",
+  "REQUIRED_MAILBOX_IDS",
+  "DOMAIN_NAME",
+]);
+
+function missingCredentials(options) {
+  return ["email", "password"].filter((field) => !options?.[field]);
+}
+
+function findMissingInputs(step) {
+  const missing = new Set(step.missing || []);
+  for (const [field, value] of Object.entries(step.body || {})) {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.some((v) => PLACEHOLDER_VALUES.has(v))) missing.add(field);
+  }
+  return [...missing];
+}
+
+function parseStepInput(field, value) {
+  const text = typeof value === "string" ? value.trim() : value;
+  if (field === "ids" && typeof text === "string") {
+    return text
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+  }
+  return text;
+}
+
 async function planFromRules(nl, options = {}) {
   const q = String(nl || "").trim();
   const steps = [];
@@ -3421,10 +4988,11 @@ async function planFromRules(nl, options = {}) {
         path: "/v2/exports/accounts/third-party",
         method: "POST",
         body: {
-          email: options?.email || "placeholder@example.com",
-          password: options?.password || "APP_PASSWORD",
+          email: options?.email,
+          password: options?.password,
           app,
         },
+        missing: missingCredentials(options),
         description: `Connect third-party app ${app}`,
       });
       break;
@@ -3441,10 +5009,11 @@ async function planFromRules(nl, options = {}) {
         path: "/v2/exports/accounts/third-party",
         method: "POST",
         body: {
-          email: options?.email || "REQUIRED",
-          password: options?.password || "REQUIRED",
+          email: options?.email,
+          password: options?.password,
           app: "REACHINBOX",
         },
+        missing: missingCredentials(options),
         description: "Add Reachinbox account credentials",
       });
       steps.push({
@@ -3467,10 +5036,11 @@ async function planFromRules(nl, options = {}) {
         path: "/v2/exports/accounts/third-party",
         method: "POST",
         body: {
-          email: options?.email || "REQUIRED",
-          password: options?.password || "REQUIRED",
+          email: options?.email,
+          password: options?.password,
           app: "INSTANTLY",
         },
+        missing: missingCredentials(options),
         description: "Add Instantly account credentials",
       });
       steps.push({
@@ -3493,10 +5063,11 @@ async function planFromRules(nl, options = {}) {
         path: "/v2/exports/accounts/third-party",
         method: "POST",
         body: {
-          email: options?.email || "REQUIRED",
-          password: options?.password || "REQUIRED",
+          email: options?.email,
+          password: options?.password,
           app: "SMARTLEAD",
         },
+        missing: missingCredentials(options),
         description: "Add Smartlead account credentials",
       });
       steps.push({
@@ -3519,10 +5090,11 @@ async function planFromRules(nl, options = {}) {
         path: "/v2/exports/accounts/third-party",
         method: "POST",
         body: {
-          email: options?.email || "REQUIRED",
-          password: options?.password || "REQUIRED",
+          email: options?.email,
+          password: options?.password,
           app: "REPLY_IO",
         },
+        missing: missingCredentials(options),
         description: "Add Reply.io account credentials",
       });
       steps.push({
@@ -3570,7 +5142,8 @@ async function planFromRules(nl, options = {}) {
         action: "api",
         path: "/v2/exports/mailboxes",
         method: "POST",
-        body: { apps: ["MANUAL"], ids: ["REQUIRED_MAILBOX_IDS"] },
+        body: { apps: ["MANUAL"] },
+        missing: ["ids"],
         description: "Export specific mailboxes as CSV",
       });
       break;
@@ -3597,7 +5170,8 @@ async function planFromRules(nl, options = {}) {
           action: "api",
           path: "/v2/exports/mailboxes",
           method: "POST",
-          body: { apps: ["MANUAL"], contains: "DOMAIN_NAME", status: "ACTIVE" },
+          body: { apps: ["MANUAL"], status: "ACTIVE" },
+          missing: ["contains"],
           description: "Export mailboxes from specified domain as CSV",
         });
       }
@@ -3633,10 +5207,11 @@ async function planFromRules(nl, options = {}) {
         path: "/v2/exports/accounts/third-party",
         method: "POST",
         body: {
-          email: options?.email || "placeholder@example.com",
-          password: options?.password || "APP_PASSWORD",
+          email: options?.email,
+          password: options?.password,
           app,
         },
+        missing: missingCredentials(options),
         description: `Connect ${app}`,
       });
       break;
@@ -3652,9 +5227,8 @@ async function planFromRules(nl, options = {}) {
   return { strategy: "rules", steps };
 }
 
-// Optional LLM planner (if OPENAI_API_KEY is set). We keep it simple to avoid external libs.
-async function planFromLLM(nl) {
-  const prompt = `You are a planner for the Zapmail API. Given a user instruction, output a JSON plan with steps.
+function buildPlannerPrompt(nl) {
+  return `You are a planner for the Zapmail API. Given a user instruction, output a JSON plan with steps.
 Each step has: {action: "api"|"compute"|"decision"|"info", method?, path?, slug?, body?, note?, description?}
 Constraints:
 - Prefer wallet-first for purchases; call /v2/wallet/balance before buying.
@@ -3664,6 +5238,22 @@ Constraints:
 Return ONLY JSON.
 
 User: ${nl}`;
+}
+
+function parsePlanSteps(text) {
+  // Models often wrap JSON in a markdown fence despite being told not to
+  const json = JSON.parse(
+    String(text || "{}")
+      .trim()
+      .replace(/^```(?:json)?\s*|\s*```$/g, "")
+  );
+  if (!Array.isArray(json.steps)) throw new Error("Invalid LLM plan");
+  return json.steps;
+}
+
+// Optional LLM planner (if OPENAI_API_KEY is set). We keep it simple to avoid external libs.
+async function planFromLLM(nl) {
+  const prompt = buildPlannerPrompt(nl);
 
   try {
     const res = await fetch("https://api.openai.com/v1/chat/completions", {
@@ -3683,9 +5273,7 @@ User: ${nl}`;
     });
     const data = await res.json();
     const text = data?.choices?.[0]?.message?.content || "{}";
-    const json = JSON.parse(text);
-    if (!Array.isArray(json.steps)) throw new Error("Invalid LLM plan");
-    return { strategy: "llm", steps: json.steps };
+    return { strategy: "llm", steps: parsePlanSteps(text) };
   } catch (e) {
     return {
       strategy: "llm-failed",
@@ -3696,15 +5284,140 @@ User: ${nl}`;
   }
 }
 
+// Planner backed by the connected client's own model (MCP sampling), so no
+// API key is needed on the server side.
+async function planFromSampling(nl, { signal } = {}) {
+  try {
+    const result = await sendClientRequest(
+      "sampling/createMessage",
+      {
+        messages: [
+          {
+            role: "user",
+            content: { type: "text", text: buildPlannerPrompt(nl) },
+          },
+        ],
+        systemPrompt: "You output JSON only.",
+        includeContext: "none",
+        temperature: 0.2,
+        maxTokens: 2000,
+      },
+      // Much shorter than the elicitation wait: a client that never answers
+      // should fall back to the other planners, not block the call
+      { signal, timeoutMs: CONFIG.samplingTimeoutMs }
+    );
+    if (result?.content?.type !== "text") {
+      throw new Error("Sampling returned no text content");
+    }
+    return {
+      strategy: "sampling",
+      ...(result.model && { model: result.model }),
+      steps: parsePlanSteps(result.content.text),
+    };
+  } catch (e) {
+    if (isCancellation(e, signal)) throw e;
+    logger.warn("Sampling planner failed", { error: e.message });
+    return {
+      strategy: "sampling-failed",
+      steps: [
+        {
+          action: "info",
+          note: "Sampling planner failed; fallback to rules.",
+        },
+      ],
+    };
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Tool definitions
 // ---------------------------------------------------------------------------
 
+// MCP tool annotations, so hosts can auto-approve safe calls and gate risky
+// ones. Missing hints are read as the most cautious value, so every preset
+// states all four.
+const TOOL_ANNOTATIONS = {
+  // Answers from built-in data or server state only
+  localReadOnly: {
+    readOnlyHint: true,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: false,
+  },
+  // Changes server-side state (context, cache) but no Zapmail data
+  localWrite: {
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: false,
+  },
+  apiReadOnly: {
+    readOnlyHint: true,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: true,
+  },
+  // Adds Zapmail resources without touching existing ones
+  apiCreate: {
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+    openWorldHint: true,
+  },
+  // Overwrites or deletes existing Zapmail data
+  apiDestructive: {
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true,
+    openWorldHint: true,
+  },
+  // Spends wallet balance or charges the account; repeating spends again
+  apiSpend: {
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: false,
+    openWorldHint: true,
+  },
+  // Refreshes server state from Zapmail without changing Zapmail data
+  apiRefresh: {
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: true,
+  },
+  // Method decided at call time (call_endpoint, plan_and_execute)
+  apiUnknown: {
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: false,
+    openWorldHint: true,
+  },
+};
+
+const SPENDING_SLUG = /(^|[-_/])(buy|purchase|renew|topup|pay)([-_/]|$)/i;
+
+function annotationsForEndpoint(slug) {
+  const spends = SPENDING_SLUG.test(slug);
+  // Only a documented GET outranks a spending word; the "get-" verb alone
+  // does not (get-domains-purchase-payment-link is POST /v2/domains/buy)
+  if (spends && DOC_METHODS.get(slug) !== "GET") {
+    return TOOL_ANNOTATIONS.apiSpend;
+  }
+  const method = inferSlugMethod(slug);
+  if (method === "GET") return TOOL_ANNOTATIONS.apiReadOnly;
+  if (method === "POST") return TOOL_ANNOTATIONS.apiCreate;
+  if (method === "PUT" || method === "PATCH" || method === "DELETE") {
+    return TOOL_ANNOTATIONS.apiDestructive;
+  }
+  return TOOL_ANNOTATIONS.apiUnknown;
+}
+
 function buildToolDefinitions() {
   const tools = [];
   tools.push({
     name: "set_context",
     title: "Set workspace and provider context",
+    annotations: TOOL_ANNOTATIONS.localWrite,
     description:
       "Set default x-workspace-key and x-service-provider headers for subsequent API calls.",
     input_schema: {
@@ -3718,22 +5431,60 @@ function buildToolDefinitions() {
         },
       },
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        context: {
+          type: "object",
+          properties: {
+            workspaceKey: { type: ["string", "null"] },
+            serviceProvider: { type: "string" },
+          },
+        },
+      },
+      required: ["message", "context"],
+    },
   });
   tools.push({
     name: "wallet_balance",
     title: "Get wallet balance",
+    annotations: TOOL_ANNOTATIONS.apiReadOnly,
     description: "Return the current wallet balance for the active workspace.",
     input_schema: { type: "object", properties: {} },
+    output_schema: {
+      type: "object",
+      properties: {
+        balance: { type: "number", description: "Wallet balance." },
+        context: {
+          type: "object",
+          properties: {
+            workspaceKey: { type: ["string", "null"] },
+            serviceProvider: { type: "string" },
+          },
+        },
+      },
+      required: ["balance"],
+    },
   });
   tools.push({
     name: "list_workspaces",
     title: "List workspaces",
+    annotations: TOOL_ANNOTATIONS.apiReadOnly,
     description: "Retrieve all workspaces associated with the account.",
     input_schema: { type: "object", properties: {} },
+    output_schema: {
+      type: "object",
+      properties: {
+        workspaces: { description: "Workspaces as returned by the API." },
+      },
+      required: ["workspaces"],
+    },
   });
   tools.push({
     name: "list_domains",
     title: "List domains",
+    annotations: TOOL_ANNOTATIONS.apiReadOnly,
     description:
       "List domains in the active workspace. Use set_context to choose the workspace.",
     input_schema: {
@@ -3745,10 +5496,18 @@ function buildToolDefinitions() {
         },
       },
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        domains: { description: "Domains as returned by the API." },
+      },
+      required: ["domains"],
+    },
   });
   tools.push({
     name: "check_domain_availability",
     title: "Check domain availability",
+    annotations: TOOL_ANNOTATIONS.apiReadOnly,
     description:
       "Check if a domain is available for registration and return pricing.",
     input_schema: {
@@ -3763,10 +5522,21 @@ function buildToolDefinitions() {
       },
       required: ["domainName"],
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        domainName: { type: "string" },
+        availability: {
+          description: "Availability and pricing as returned by the API.",
+        },
+      },
+      required: ["domainName", "availability"],
+    },
   });
   tools.push({
     name: "purchase_domains",
     title: "Purchase domains (wallet-first)",
+    annotations: TOOL_ANNOTATIONS.apiSpend,
     description:
       "Purchase one or more domains. Prefers wallet funds if sufficient; otherwise returns a payment link.",
     input_schema: {
@@ -3790,10 +5560,23 @@ function buildToolDefinitions() {
       },
       required: ["domains"],
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        useWallet: {
+          type: "boolean",
+          description: "Whether wallet funds were used.",
+        },
+        total: { type: "number", description: "Computed order total." },
+        result: { description: "Purchase response from the API." },
+      },
+      required: ["useWallet", "total"],
+    },
   });
   tools.push({
     name: "create_mailboxes_for_zero_domains",
     title: "Create mailboxes on empty domains",
+    annotations: TOOL_ANNOTATIONS.apiSpend,
     description:
       "Create N mailboxes on every domain in the active workspace with zero mailboxes.",
     input_schema: {
@@ -3806,10 +5589,49 @@ function buildToolDefinitions() {
         },
       },
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        createdCount: {
+          type: "number",
+          description: "Domains that received mailboxes.",
+        },
+        details: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              domain: { type: "string" },
+              domainId: { type: "string" },
+              response: {},
+            },
+          },
+        },
+        outcomeUnknown: {
+          type: "array",
+          description:
+            "Domains whose create call failed in a way that may still have created mailboxes. Check search_mailboxes before retrying them.",
+          items: {
+            type: "object",
+            properties: {
+              domain: { type: "string" },
+              domainId: { type: "string" },
+              error: { type: "string" },
+            },
+          },
+        },
+        cancelled: {
+          type: "boolean",
+          description: "Present when the request was cancelled mid-way.",
+        },
+      },
+      required: ["createdCount", "details"],
+    },
   });
   tools.push({
     name: "add_third_party_account",
     title: "Add third-party export account",
+    annotations: TOOL_ANNOTATIONS.apiCreate,
     description: "Add credentials for a third-party export integration.",
     input_schema: {
       type: "object",
@@ -3828,6 +5650,7 @@ function buildToolDefinitions() {
   tools.push({
     name: "call_endpoint",
     title: "Call any Zapmail endpoint",
+    annotations: TOOL_ANNOTATIONS.apiUnknown,
     description:
       "Invoke any Zapmail API endpoint by its documentation slug or an explicit path.",
     input_schema: {
@@ -3873,6 +5696,7 @@ function buildToolDefinitions() {
   tools.push({
     name: "generate_usernames",
     title: "Generate mailbox usernames",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Create professional mailbox usernames from a full name or single word using built-in patterns.",
     input_schema: {
@@ -3890,10 +5714,30 @@ function buildToolDefinitions() {
       },
       required: ["name", "numberOfNames"],
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        names: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              firstname: { type: "string" },
+              lastname: { type: "string" },
+              username: { type: "string" },
+            },
+            required: ["firstname", "lastname", "username"],
+          },
+        },
+        note: { type: "string" },
+      },
+      required: ["names"],
+    },
   });
   tools.push({
     name: "generate_name_pairs",
     title: "Generate name pairs",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Generate culturally appropriate firstname/lastname pairs for a given ethnicity and gender.",
     input_schema: {
@@ -3913,10 +5757,28 @@ function buildToolDefinitions() {
       },
       required: ["numberOfNames", "ethnicity", "gender"],
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        names: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              firstname: { type: "string" },
+              lastname: { type: "string" },
+            },
+            required: ["firstname", "lastname"],
+          },
+        },
+      },
+      required: ["names"],
+    },
   });
   tools.push({
     name: "generate_domains",
     title: "Generate AI-powered domain suggestions",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description: "Generate professional domain name suggestions (local rules).",
     input_schema: {
       type: "object",
@@ -3946,10 +5808,18 @@ function buildToolDefinitions() {
       },
       required: ["keywords"],
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        domains: { type: "array", items: { type: "string" } },
+      },
+      required: ["domains"],
+    },
   });
   tools.push({
     name: "check_domain_availability_batch",
     title: "Check domain availability in batch",
+    annotations: TOOL_ANNOTATIONS.apiReadOnly,
     description: "Check availability and pricing for multiple domains at once.",
     input_schema: {
       type: "object",
@@ -3963,10 +5833,36 @@ function buildToolDefinitions() {
       },
       required: ["domains"],
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              domainName: { type: "string" },
+              result: { description: "Availability response from the API." },
+              error: {
+                type: "string",
+                description: "Why this domain could not be checked.",
+              },
+            },
+            required: ["domainName"],
+          },
+        },
+        cancelled: {
+          type: "boolean",
+          description: "Present when the request was cancelled mid-way.",
+        },
+      },
+      required: ["results"],
+    },
   });
   tools.push({
     name: "plan_and_execute",
     title: "Natural-language plan & execute",
+    annotations: TOOL_ANNOTATIONS.apiUnknown,
     description:
       "Give a natural language instruction (e.g., 'buy 5 domains and connect Instantly') and the server will plan steps and optionally execute them.",
     input_schema: {
@@ -3988,17 +5884,53 @@ function buildToolDefinitions() {
         },
         password: {
           type: "string",
-          description: "For third-party connection (if needed).",
+          description:
+            "For third-party connection (if needed). Never asked for interactively, so pass it here.",
         },
       },
       required: ["instruction"],
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        mode: { type: "string", enum: ["dry-run", "execute"] },
+        strategy: { type: "string" },
+        model: {
+          type: "string",
+          description: "Model that produced a sampling plan, if reported.",
+        },
+        steps: { type: "array", items: { type: "object" } },
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              step: { type: "object" },
+              ok: { type: "boolean" },
+              declined: { type: "boolean" },
+              data: {},
+            },
+          },
+        },
+        declined: {
+          type: "boolean",
+          description:
+            "Present when the user declined to provide a missing input.",
+        },
+        cancelled: {
+          type: "boolean",
+          description: "Present when the request was cancelled mid-way.",
+        },
+      },
+      required: ["mode", "strategy", "steps"],
+    },
   });
 
   // Enhanced tools for better functionality
   tools.push({
     name: "get_metrics",
     title: "Get system metrics and performance data",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Retrieve system metrics including API call statistics, cache performance, and error rates.",
     input_schema: {
@@ -4021,11 +5953,33 @@ function buildToolDefinitions() {
         },
       },
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        timestamp: { type: "string" },
+        server: { type: "object" },
+        metrics: { type: "object" },
+        cache: { type: "object" },
+        timers: { type: "object" },
+        circuits: {
+          type: "object",
+          description:
+            "Circuit breaker state per endpoint path: closed, open or half_open.",
+        },
+        rateLimits: {
+          type: "object",
+          description:
+            "Token bucket per workspace and endpoint group: current and configured rate per minute, tokens left, queued callers and 429 throttling.",
+        },
+      },
+      required: ["timestamp", "server"],
+    },
   });
 
   tools.push({
     name: "clear_cache",
     title: "Clear system cache",
+    annotations: TOOL_ANNOTATIONS.localWrite,
     description:
       "Clear all cached data to free memory and ensure fresh data retrieval.",
     input_schema: {
@@ -4039,11 +5993,41 @@ function buildToolDefinitions() {
       },
       required: ["confirm"],
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        cacheSize: { type: "number" },
+      },
+      required: ["message", "cacheSize"],
+    },
+  });
+
+  tools.push({
+    name: "reload_endpoints",
+    title: "Reload endpoint manifest",
+    annotations: TOOL_ANNOTATIONS.apiRefresh,
+    description:
+      "Re-fetch the docs.zapmail.ai endpoint manifest and rebuild the dynamic endpoint tools. Connected clients receive notifications/tools/list_changed when the tool set changes.",
+    input_schema: { type: "object", properties: {} },
+    output_schema: {
+      type: "object",
+      properties: {
+        changed: { type: "boolean" },
+        added: { type: "array", items: { type: "string" } },
+        removed: { type: "array", items: { type: "string" } },
+        kept: { type: "boolean" },
+        total: { type: "number" },
+        dynamic: { type: "number" },
+      },
+      required: ["changed", "added", "removed", "total", "dynamic"],
+    },
   });
 
   tools.push({
     name: "health_check",
     title: "System health check",
+    annotations: TOOL_ANNOTATIONS.apiReadOnly,
     description:
       "Perform a comprehensive health check of the MCP server including API connectivity, cache status, and configuration validation.",
     input_schema: {
@@ -4056,11 +6040,21 @@ function buildToolDefinitions() {
         },
       },
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["healthy", "degraded"] },
+        timestamp: { type: "string" },
+        checks: { type: "object" },
+      },
+      required: ["status", "timestamp", "checks"],
+    },
   });
 
   tools.push({
     name: "bulk_update_mailboxes",
     title: "Bulk update mailboxes",
+    annotations: TOOL_ANNOTATIONS.apiDestructive,
     description:
       "Update multiple mailboxes with new names, usernames, or other properties in a single operation.",
     input_schema: {
@@ -4083,7 +6077,13 @@ function buildToolDefinitions() {
           },
           description: "Array of mailbox updates to perform",
         },
-        workspaceKey: { type: "string", description: "Workspace key override" },
+        chunkSize: {
+          type: "integer",
+          minimum: 1,
+          description:
+            "Mailboxes per PUT request (default ZAPMAIL_BULK_UPDATE_CHUNK_SIZE or 25).",
+        },
+        workspaceKey: { type: "string", description: "Workspace key override" },
         serviceProvider: {
           type: "string",
           enum: ["GOOGLE", "MICROSOFT"],
@@ -4092,11 +6092,50 @@ function buildToolDefinitions() {
       },
       required: ["updates"],
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        total: { type: "number" },
+        successful: { type: "number" },
+        failed: { type: "number" },
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              index: { type: "number" },
+              mailboxId: { type: "string" },
+              status: { type: "string" },
+              data: {
+                description: "The updated mailbox as returned by the API.",
+              },
+            },
+          },
+        },
+        errors: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              index: { type: "number" },
+              mailboxId: { type: "string" },
+              error: { type: "string" },
+            },
+          },
+        },
+        cancelled: {
+          type: "boolean",
+          description: "Present when the request was cancelled mid-way.",
+        },
+      },
+      required: ["total", "successful", "failed", "results", "errors"],
+    },
   });
 
   tools.push({
     name: "search_mailboxes",
     title: "Search mailboxes with advanced filters",
+    annotations: TOOL_ANNOTATIONS.apiReadOnly,
     description:
       "Search for mailboxes using various criteria like name, username, domain, or status.",
     input_schema: {
@@ -4119,11 +6158,33 @@ function buildToolDefinitions() {
         },
       },
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        mailboxes: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              firstName: { type: "string" },
+              lastName: { type: "string" },
+              username: { type: "string" },
+              status: { type: "string" },
+              domain: { type: "string" },
+            },
+          },
+        },
+        total: { type: "number" },
+        filters: { type: "object" },
+      },
+      required: ["mailboxes", "total"],
+    },
   });
 
   tools.push({
     name: "get_server_info",
     title: "Get server information and configuration",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Retrieve detailed information about the MCP server configuration, features, and capabilities.",
     input_schema: {
@@ -4136,12 +6197,32 @@ function buildToolDefinitions() {
         },
       },
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        version: { type: "string" },
+        features: { type: "object" },
+        configuration: { type: "object" },
+        context: { type: "object" },
+        endpoints: {
+          type: "object",
+          properties: {
+            total: { type: "number" },
+            dynamic: { type: "number" },
+          },
+        },
+        exportSystem: { type: "object" },
+        apiDocumentation: { type: "object" },
+      },
+      required: ["version", "features", "configuration"],
+    },
   });
 
   // Export-related tools
   tools.push({
     name: "get_export_info",
     title: "Get export system information",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Get comprehensive information about supported export platforms, flows, and scenarios.",
     input_schema: {
@@ -4169,6 +6250,7 @@ function buildToolDefinitions() {
   tools.push({
     name: "get_export_scenario",
     title: "Get export scenario instructions",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description: "Get step-by-step instructions for specific export scenarios.",
     input_schema: {
       type: "object",
@@ -4196,6 +6278,7 @@ function buildToolDefinitions() {
   tools.push({
     name: "validate_export_request",
     title: "Validate export request parameters",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Validate export request parameters before execution to prevent errors.",
     input_schema: {
@@ -4224,11 +6307,24 @@ function buildToolDefinitions() {
         status: { type: "string", description: "Filter by mailbox status" },
       },
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        valid: { type: "boolean" },
+        message: { type: "string" },
+        recommendations: { type: "array", items: { type: "string" } },
+        error: { type: "string" },
+        details: { type: "object" },
+        troubleshooting: { type: ["object", "null"] },
+      },
+      required: ["valid"],
+    },
   });
 
   tools.push({
     name: "export_guidance",
     title: "Get export guidance and best practices",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Get AI-powered guidance for export operations including best practices and recommendations.",
     input_schema: {
@@ -4250,12 +6346,24 @@ function buildToolDefinitions() {
         },
       },
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        goal: { type: "string" },
+        platform: { type: "object" },
+        recommendations: { type: "array", items: { type: "string" } },
+        steps: { type: "array", items: { type: "string" } },
+        warnings: { type: "array", items: { type: "string" } },
+      },
+      required: ["goal", "recommendations", "steps", "warnings"],
+    },
   });
 
   // API endpoint documentation tools
   tools.push({
     name: "get_api_info",
     title: "Get comprehensive API endpoint information",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Get detailed information about API endpoints, parameters, responses, and usage examples.",
     input_schema: {
@@ -4297,6 +6405,7 @@ function buildToolDefinitions() {
   tools.push({
     name: "search_api_endpoints",
     title: "Search API endpoints by keyword",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Search for API endpoints using keywords to find relevant functionality.",
     input_schema: {
@@ -4325,11 +6434,34 @@ function buildToolDefinitions() {
       },
       required: ["keyword"],
     },
+    output_schema: {
+      type: "object",
+      properties: {
+        keyword: { type: "string" },
+        category: { type: "string" },
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              category: { type: "string" },
+              endpointName: { type: "string" },
+              path: { type: "string" },
+              method: { type: "string" },
+              description: { type: "string" },
+            },
+          },
+        },
+        total: { type: "number" },
+      },
+      required: ["keyword", "results", "total"],
+    },
   });
 
   tools.push({
     name: "get_api_scenarios",
     title: "Get common API usage scenarios",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Get step-by-step scenarios for common API operations and workflows.",
     input_schema: {
@@ -4361,6 +6493,7 @@ function buildToolDefinitions() {
   tools.push({
     name: "get_api_best_practices",
     title: "Get API best practices and recommendations",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Get comprehensive best practices for using the Zapmail API effectively.",
     input_schema: {
@@ -4392,6 +6525,7 @@ function buildToolDefinitions() {
   tools.push({
     name: "generate_api_examples",
     title: "Generate API usage examples",
+    annotations: TOOL_ANNOTATIONS.localReadOnly,
     description:
       "Generate practical examples for API endpoint usage with custom parameters.",
     input_schema: {
@@ -4435,6 +6569,7 @@ function buildToolDefinitions() {
       name: toolName,
       title: title || toolName,
       description: `${description || ""} Invoke this endpoint.`,
+      annotations: annotationsForEndpoint(slug),
       input_schema: {
         type: "object",
         properties: {
@@ -4479,14 +6614,184 @@ function buildToolDefinitions() {
 // JSON-RPC helpers
 // ---------------------------------------------------------------------------
 
+// Messages produced while handling an HTTP request are routed back to that
+// request's response; everything else goes to the transport's default sink.
+const REQUEST_SCOPE = new AsyncLocalStorage();
+
+// Runs fn detached from the current request, so it can neither write into
+// that request's response nor be cancelled with it. Its log entries still only
+// reach the given sessions (by default those behind the current scope);
+// outside any session they are server-wide.
+function runDetached(fn, sessions = scopeSessions()) {
+  if (!sessions) return REQUEST_SCOPE.exit(fn);
+  return REQUEST_SCOPE.run({ logSessions: sessions }, fn);
+}
+
+function scopeSessions() {
+  const scope = REQUEST_SCOPE.getStore();
+  return scope?.session ? [scope.session] : scope?.logSessions;
+}
+
+// The workspace and service provider the calling client has selected
+function currentContext() {
+  const session = REQUEST_SCOPE.getStore()?.session;
+  return session ? session.context : CONTEXT;
+}
+
+let defaultSink = (message) => {
+  stdout.write(JSON.stringify(message) + "\n");
+};
+
+function writeMessage(message) {
+  const scope = REQUEST_SCOPE.getStore();
+  if (scope?.send) {
+    scope.send(message);
+  } else {
+    defaultSink(message);
+  }
+}
+
 function sendResult(id, result) {
-  stdout.write(JSON.stringify({ jsonrpc: "2.0", id, result }) + "\n");
+  writeMessage({ jsonrpc: "2.0", id, result });
 }
 function sendError(id, code, message, data) {
-  stdout.write(
-    JSON.stringify({ jsonrpc: "2.0", id, error: { code, message, data } }) +
-      "\n"
+  writeMessage({ jsonrpc: "2.0", id, error: { code, message, data } });
+}
+function sendNotification(method, params) {
+  writeMessage({ jsonrpc: "2.0", method, params });
+}
+
+// Returns an (progress, total, message) callback that emits
+// notifications/progress for the request's progressToken, or null when the
+// client did not ask for progress.
+function createProgressReporter(progressToken) {
+  if (progressToken === undefined || progressToken === null) return null;
+  return (progress, total, message) => {
+    sendNotification("notifications/progress", {
+      progressToken,
+      progress,
+      ...(total !== undefined && { total }),
+      ...(message && { message }),
+    });
+  };
+}
+
+// Capabilities the stdio client declared in initialize (HTTP sessions keep
+// their own on the session object)
+let STDIO_CLIENT_CAPABILITIES = {};
+
+function getClientCapabilities() {
+  const session = REQUEST_SCOPE.getStore()?.session;
+  return (
+    (session ? session.clientCapabilities : STDIO_CLIENT_CAPABILITIES) || {}
+  );
+}
+
+// Server-to-client requests (e.g. elicitation/create) awaiting the client's
+// response, keyed like IN_FLIGHT so HTTP sessions cannot answer each other's
+const PENDING_CLIENT_REQUESTS = new Map();
+const CLIENT_REQUEST_TIMEOUT_MS = 10 * 60 * 1000;
+let clientRequestCounter = 0;
+
+function sendClientRequest(
+  method,
+  params,
+  { signal, timeoutMs = CLIENT_REQUEST_TIMEOUT_MS } = {}
+) {
+  signal?.throwIfAborted();
+  const scope = REQUEST_SCOPE.getStore();
+  if (
+    scope?.session &&
+    scope.streaming === false &&
+    scope.session.streams.size === 0
+  ) {
+    throw new ZapmailError(
+      `Cannot send ${method}: the client asked for a plain JSON response and has no GET stream open for this session`,
+      "CLIENT_UNREACHABLE"
+    );
+  }
+  const id = `zapmail-${++clientRequestCounter}`;
+  const key = inFlightKey(id);
+  return new Promise((resolve, reject) => {
+    const finish = (err, result) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      PENDING_CLIENT_REQUESTS.delete(key);
+      if (err) reject(err);
+      else resolve(result);
+    };
+    const onAbort = () => finish(signal.reason);
+    const timer = setTimeout(
+      () =>
+        finish(
+          new ZapmailError(
+            `Client did not answer ${method} within ${timeoutMs}ms`,
+            "CLIENT_TIMEOUT"
+          )
+        ),
+      timeoutMs
+    );
+    timer.unref();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    PENDING_CLIENT_REQUESTS.set(key, finish);
+    writeMessage({ jsonrpc: "2.0", id, method, params });
+  });
+}
+
+function handleClientResponse(msg) {
+  const finish = PENDING_CLIENT_REQUESTS.get(inFlightKey(msg.id));
+  if (!finish) {
+    logger.warn("Response for unknown server request", { id: msg.id });
+    return;
+  }
+  if (msg.error) {
+    finish(
+      new ZapmailError(
+        msg.error.message || "Client returned an error",
+        "CLIENT_ERROR",
+        msg.error
+      )
+    );
+  } else {
+    finish(null, msg.result);
+  }
+}
+
+// Asks the user for the given step inputs. Returns the parsed values, or null
+// when the user declines or cancels.
+async function elicitStepInputs(step, fields, { signal } = {}) {
+  const properties = {};
+  for (const field of fields) {
+    properties[field] = STEP_INPUT_FIELDS[field] || {
+      type: "string",
+      title: field,
+    };
+  }
+  const result = await sendClientRequest(
+    "elicitation/create",
+    {
+      message: `"${step.description || step.path}" needs: ${fields
+        .map((field) => properties[field].title)
+        .join(", ")}`,
+      requestedSchema: { type: "object", properties, required: fields },
+    },
+    { signal }
   );
+  if (result?.action !== "accept") return null;
+  const values = {};
+  for (const field of fields) {
+    const value = parseStepInput(field, result.content?.[field]);
+    if (
+      value === undefined ||
+      value === "" ||
+      (Array.isArray(value) && value.length === 0) ||
+      PLACEHOLDER_VALUES.has(value)
+    ) {
+      throw new ValidationError(`No value provided for ${field}`, field, value);
+    }
+    values[field] = value;
+  }
+  return values;
 }
 
 // ---------------------------------------------------------------------------
@@ -4496,49 +6801,148 @@ function sendError(id, code, message, data) {
 async function handleToolsList(id) {
   await ENDPOINTS_PROMISE;
   const toolsRaw = buildToolDefinitions();
-  const tools = toolsRaw.map((t) =>
-    t && t.input_schema && !t.inputSchema
-      ? { ...t, inputSchema: t.input_schema }
-      : t
-  );
+  const tools = toolsRaw.map((t) => {
+    if (!t) return t;
+    const tool = { ...t };
+    if (tool.input_schema && !tool.inputSchema) {
+      tool.inputSchema = tool.input_schema;
+    }
+    if (tool.output_schema && !tool.outputSchema) {
+      tool.outputSchema = tool.output_schema;
+    }
+    return tool;
+  });
   sendResult(id, { tools });
 }
 
-async function handleToolsInvoke(id, params) {
+// Remediation hints for failed tool calls, by Zapmail HTTP status
+const API_ERROR_HINTS = {
+  400: "The API rejected the request. Check the arguments against get_api_info for this endpoint.",
+  401: "The API key was rejected. Check ZAPMAIL_API_KEY.",
+  402: "The wallet balance is too low. Top up the wallet or use the payment link flow.",
+  403: "The API key cannot access this resource. Check the workspace key and service provider.",
+  404: "The resource was not found. Look up valid IDs with list_domains or search_mailboxes.",
+  409: "The resource already exists or is in a conflicting state. List it before retrying.",
+  422: "The API rejected the request body. Check the arguments against get_api_info for this endpoint.",
+  429: "Zapmail is rate limiting this key. Wait a minute before retrying.",
+};
+
+// Turns a thrown error into the structured body returned with isError
+function describeToolError(err) {
+  const details = err?.details || {};
+  const message = err?.message || String(err);
+  let code = err?.code || "TOOL_ERROR";
+  let field = details.field;
+  let hint;
+  if (err instanceof ApiError) {
+    hint =
+      API_ERROR_HINTS[details.status] ||
+      (details.status >= 500
+        ? "Zapmail returned a server error. Retry later."
+        : undefined);
+  } else if (err instanceof ValidationError) {
+    hint =
+      field === "apiKey"
+        ? "Set ZAPMAIL_API_KEY in the server environment."
+        : field && `Check the '${field}' argument.`;
+  } else if (err instanceof CircuitOpenError) {
+    hint = `Zapmail has been failing on this endpoint. Retry in ${Math.ceil(
+      details.retryInMs / 1000
+    )}s, or check health_check.`;
+  } else if (err instanceof CassetteMissError) {
+    hint =
+      "The replay cassette has no matching request. Record it again with ZAPMAIL_CASSETTE=record.";
+  } else if (err instanceof OutcomeUnknownError) {
+    hint =
+      "The request may have been applied. Check list_domains or search_mailboxes before retrying it.";
+  } else if (err?.name === "TimeoutError" || err?.name === "AbortError") {
+    code = "TIMEOUT";
+    hint =
+      "The API did not answer in time. Retry, or raise ZAPMAIL_TIMEOUT_MS.";
+  } else if (message === "fetch failed") {
+    code = "NETWORK_ERROR";
+    hint = "The Zapmail API could not be reached. Check network access.";
+  } else {
+    // Handlers throw plain errors like "'instruction' is required"
+    const quoted = /^'(\w+)'/.exec(message);
+    if (quoted) {
+      code = "INVALID_ARGUMENT";
+      field = quoted[1];
+      hint = `Check the '${field}' argument.`;
+    }
+  }
+  return {
+    code,
+    message,
+    ...(details.status !== undefined && { status: details.status }),
+    ...(details.response !== undefined && { response: details.response }),
+    ...(field && { field }),
+    ...(err instanceof OutcomeUnknownError && {
+      outcome: "unknown",
+      request: `${details.method} ${details.path}`,
+      ...(details.idempotencyKey && { idempotencyKey: details.idempotencyKey }),
+    }),
+    hint: hint || "Check the tool arguments and try again.",
+  };
+}
+
+async function handleToolsInvoke(id, params, { signal } = {}) {
   await ENDPOINTS_PROMISE;
   const name = params?.tool_name;
   const input = params?.input || {};
   const isMcpCall = !!params?.__from_mcp_call;
+  const onProgress = createProgressReporter(params?._meta?.progressToken);
   const sendToolResult = (payload) => {
     if (isMcpCall) {
-      // Return as text content for broad client compatibility
+      // Return as text content for broad client compatibility, plus the
+      // object itself as structuredContent for clients that read outputSchema
       let text;
       try {
         text = JSON.stringify(payload, null, 2);
       } catch (_) {
         text = String(payload);
       }
-      sendResult(id, { content: [{ type: "text", text }] });
+      const result = { content: [{ type: "text", text }] };
+      if (payload && typeof payload === "object" && !Array.isArray(payload)) {
+        result.structuredContent = payload;
+      }
+      sendResult(id, result);
     } else {
       sendResult(id, payload);
     }
   };
+  // Tool failures are results with isError so the model can see and act on
+  // them; protocol errors stay reserved for malformed requests
+  const sendToolError = (err) => {
+    const error = describeToolError(err);
+    logger.warn("Tool call failed", { requestId: id, tool: name, error });
+    if (isMcpCall) {
+      // Not structuredContent: that has to match the tool's outputSchema
+      sendResult(id, {
+        isError: true,
+        content: [{ type: "text", text: JSON.stringify({ error }, null, 2) }],
+      });
+    } else {
+      sendError(id, -32000, error.message, error);
+    }
+  };
   try {
     if (name === "set_context") {
+      const context = currentContext();
       if (typeof input.workspaceKey === "string")
-        CONTEXT.workspaceKey = input.workspaceKey;
+        context.workspaceKey = input.workspaceKey;
       if (typeof input.serviceProvider === "string")
-        CONTEXT.serviceProvider = input.serviceProvider.toUpperCase();
-      sendToolResult({ message: "Context updated", context: CONTEXT });
+        context.serviceProvider = input.serviceProvider.toUpperCase();
+      sendToolResult({ message: "Context updated", context });
       return;
     }
     if (name === "wallet_balance") {
-      const balance = await getWalletBalance();
-      sendToolResult({ balance, context: CONTEXT });
+      const balance = await getWalletBalance({ signal });
+      sendToolResult({ balance, context: currentContext() });
       return;
     }
     if (name === "list_workspaces") {
-      const data = await listWorkspaces();
+      const data = await listWorkspaces({ signal });
       sendToolResult({ workspaces: data });
       return;
     }
@@ -4547,6 +6951,7 @@ async function handleToolsInvoke(id, params) {
         contains: input.contains,
         workspaceKey: input.workspaceKey,
         serviceProvider: input.serviceProvider,
+        signal,
       });
       sendToolResult({ domains: data });
       return;
@@ -4559,7 +6964,8 @@ async function handleToolsInvoke(id, params) {
         input.domainName,
         years,
         input.workspaceKey,
-        input.serviceProvider
+        input.serviceProvider,
+        { signal }
       );
       sendToolResult({ domainName: input.domainName, availability: data });
       return;
@@ -4575,6 +6981,7 @@ async function handleToolsInvoke(id, params) {
         preferWallet,
         workspaceKey: input.workspaceKey,
         serviceProvider: input.serviceProvider,
+        signal,
       });
       sendToolResult(data);
       return;
@@ -4586,6 +6993,8 @@ async function handleToolsInvoke(id, params) {
         generator: gen,
         workspaceKey: input.workspaceKey,
         serviceProvider: input.serviceProvider,
+        onProgress,
+        signal,
       });
       sendToolResult(out);
       return;
@@ -4594,9 +7003,9 @@ async function handleToolsInvoke(id, params) {
       const { email, password, app } = input;
       if (!email || !password || !app)
         throw new Error("'email', 'password' and 'app' are required");
-      // Use input overrides if provided, otherwise fall back to global CONTEXT
-      const ws = input.workspaceKey ?? CONTEXT.workspaceKey;
-      const sp = input.serviceProvider ?? CONTEXT.serviceProvider;
+      // Use input overrides if provided, otherwise fall back to the caller's context
+      const ws = input.workspaceKey ?? currentContext().workspaceKey;
+      const sp = input.serviceProvider ?? currentContext().serviceProvider;
       const headers = {
         ...(ws ? { "x-workspace-key": ws } : {}),
         ...(sp ? { "x-service-provider": String(sp).toUpperCase() } : {}),
@@ -4607,6 +7016,7 @@ async function handleToolsInvoke(id, params) {
         path: "/v2/exports/accounts/third-party",
         body: { email, password, app },
         headers,
+        signal,
       });
       sendToolResult(data);
       return;
@@ -4624,9 +7034,9 @@ async function handleToolsInvoke(id, params) {
       } = input;
       if (typeof slug !== "string" && typeof path !== "string")
         throw new Error("'slug' or 'path' is required");
-      // Use input overrides if provided, otherwise fall back to global CONTEXT
-      const ws = workspaceKey ?? CONTEXT.workspaceKey;
-      const sp = serviceProvider ?? CONTEXT.serviceProvider;
+      // Use input overrides if provided, otherwise fall back to the caller's context
+      const ws = workspaceKey ?? currentContext().workspaceKey;
+      const sp = serviceProvider ?? currentContext().serviceProvider;
       const headers = {
         ...(ws ? { "x-workspace-key": ws } : {}),
         ...(sp ? { "x-service-provider": String(sp).toUpperCase() } : {}),
@@ -4639,6 +7049,7 @@ async function handleToolsInvoke(id, params) {
         query,
         body,
         headers,
+        signal,
       });
       sendToolResult(data);
       return;
@@ -4735,9 +7146,13 @@ async function handleToolsInvoke(id, params) {
         domains,
         years,
         input.workspaceKey,
-        input.serviceProvider
+        input.serviceProvider,
+        { onProgress, signal }
       );
-      sendToolResult({ results });
+      sendToolResult({
+        results,
+        ...(signal?.aborted && { cancelled: true }),
+      });
       return;
     }
     if (name === "plan_and_execute") {
@@ -4746,61 +7161,154 @@ async function handleToolsInvoke(id, params) {
         throw new Error("'instruction' is required");
       const rulePlan = await planFromRules(instruction, { email, password });
       let plan = rulePlan;
-      if (FEATURE_FLAGS.llmPlanner) {
-        const llm = await planFromLLM(instruction);
-        if (
-          llm?.steps &&
-          llm.steps.length > 0 &&
-          llm.strategy !== "llm-failed"
-        ) {
-          plan = llm;
-        }
+      // Prefer the client's model, then OpenAI; rules stay the fallback
+      let llm = null;
+      if (FEATURE_FLAGS.samplingPlanner && getClientCapabilities().sampling) {
+        llm = await planFromSampling(instruction, { signal });
+      }
+      if (
+        (!llm || llm.strategy.endsWith("-failed")) &&
+        FEATURE_FLAGS.llmPlanner
+      ) {
+        llm = await planFromLLM(instruction);
+      }
+      if (
+        llm?.steps &&
+        llm.steps.length > 0 &&
+        !llm.strategy.endsWith("-failed")
+      ) {
+        plan = llm;
       }
       if (!execute) {
         sendToolResult({
           mode: "dry-run",
           strategy: plan.strategy,
+          ...(plan.model && { model: plan.model }),
           steps: plan.steps,
         });
         return;
       }
+      // Values given as tool arguments fill any step that lacks them
+      const provided = {
+        ...(email && { email }),
+        ...(password && { password }),
+      };
+      const stepNeeds = (step) =>
+        step.action === "api"
+          ? findMissingInputs(step).filter((field) => !(field in provided))
+          : [];
+      // Never send placeholder values: ask the user for missing inputs, or
+      // refuse up front when they cannot (or must not) be asked for
+      const needsSecret = plan.steps.find((step) =>
+        stepNeeds(step).some((field) => SENSITIVE_STEP_INPUTS.has(field))
+      );
+      if (needsSecret) {
+        const fields = stepNeeds(needsSecret).filter((field) =>
+          SENSITIVE_STEP_INPUTS.has(field)
+        );
+        throw new ValidationError(
+          `Step "${
+            needsSecret.description || needsSecret.path
+          }" needs the account ${fields.join(
+            ", "
+          )}, which is never asked for interactively. Pass it as a plan_and_execute argument, or connect the account in the Zapmail dashboard.`,
+          fields[0]
+        );
+      }
+      const incomplete = plan.steps.find((step) => stepNeeds(step).length > 0);
+      const canElicit = Boolean(getClientCapabilities().elicitation);
+      if (incomplete && !canElicit) {
+        const fields = stepNeeds(incomplete);
+        throw new ValidationError(
+          `Step "${
+            incomplete.description || incomplete.path
+          }" is missing ${fields.join(
+            ", "
+          )}. Pass the values as tool arguments; this client does not support elicitation.`,
+          fields[0]
+        );
+      }
+
       // Execute
       const results = [];
+      let declined = false;
       for (const step of plan.steps) {
+        if (signal?.aborted) break;
         if (step.action === "api") {
           let data;
-          if (step.bodyFrom === "purchaseDomains") {
-            data = await purchaseDomains({
-              domains: step.domains || [],
-              years: step.years || 1,
-              preferWallet: true,
-              workspaceKey: input.workspaceKey,
-              serviceProvider: input.serviceProvider,
-            });
-          } else if (step.bodyFrom === "createMailboxesForZeroDomains") {
-            const gen = mailboxGeneratorForDomain();
-            data = await createMailboxesForZeroDomains({
-              countPerDomain: step.count || 3,
-              generator: gen,
-              workspaceKey: input.workspaceKey,
-              serviceProvider: input.serviceProvider,
-            });
-          } else {
-            // Use input overrides if provided, otherwise fall back to global CONTEXT
-            const ws = input.workspaceKey ?? CONTEXT.workspaceKey;
-            const sp = input.serviceProvider ?? CONTEXT.serviceProvider;
-            const headers = {
-              ...(ws ? { "x-workspace-key": ws } : {}),
-              ...(sp ? { "x-service-provider": String(sp).toUpperCase() } : {}),
-            };
-            data = await apiFetch(step.path, {
-              method: step.method || "GET",
-              body: step.body,
-              headers,
-            });
+          try {
+            // Values the user already gave for an earlier step are reused
+            const fields = findMissingInputs(step);
+            const unanswered = fields.filter((field) => !(field in provided));
+            if (unanswered.length > 0) {
+              const values = await elicitStepInputs(step, unanswered, {
+                signal,
+              });
+              if (!values) {
+                declined = true;
+                results.push({ step, ok: false, declined: true });
+                break;
+              }
+              Object.assign(provided, values);
+            }
+            let body = step.body;
+            if (fields.length > 0) {
+              body = { ...step.body };
+              for (const field of fields) body[field] = provided[field];
+            }
+            if (step.bodyFrom === "purchaseDomains") {
+              data = await purchaseDomains({
+                domains: step.domains || [],
+                years: step.years || 1,
+                preferWallet: true,
+                workspaceKey: input.workspaceKey,
+                serviceProvider: input.serviceProvider,
+                signal,
+              });
+            } else if (step.bodyFrom === "createMailboxesForZeroDomains") {
+              const gen = mailboxGeneratorForDomain();
+              data = await createMailboxesForZeroDomains({
+                countPerDomain: step.count || 3,
+                generator: gen,
+                workspaceKey: input.workspaceKey,
+                serviceProvider: input.serviceProvider,
+                signal,
+              });
+            } else {
+              // Use input overrides if provided, otherwise fall back to the caller's context
+              const ws = input.workspaceKey ?? currentContext().workspaceKey;
+              const sp =
+                input.serviceProvider ?? currentContext().serviceProvider;
+              const headers = {
+                ...(ws ? { "x-workspace-key": ws } : {}),
+                ...(sp
+                  ? { "x-service-provider": String(sp).toUpperCase() }
+                  : {}),
+              };
+              data = await apiFetch(step.path, {
+                method: step.method || "GET",
+                body,
+                headers,
+                signal,
+              });
+            }
+          } catch (err) {
+            if (isCancellation(err, signal)) break;
+            // Possibly charged: record the step and stop, never re-run it
+            if (err instanceof OutcomeUnknownError) {
+              results.push({
+                step,
+                ok: false,
+                outcome: "unknown",
+                error: err.message,
+                ...err.details,
+              });
+              break;
+            }
+            throw err;
           }
           results.push({ step, ok: true, data });
-          await sleep(250);
+          await interruptibleSleep(250, signal);
         } else {
           results.push({ step, ok: true });
         }
@@ -4808,8 +7316,11 @@ async function handleToolsInvoke(id, params) {
       sendToolResult({
         mode: "execute",
         strategy: plan.strategy,
+        ...(plan.model && { model: plan.model }),
         steps: plan.steps,
         results,
+        ...(declined && { declined: true }),
+        ...(signal?.aborted && { cancelled: true }),
       });
       return;
     }
@@ -4845,6 +7356,12 @@ async function handleToolsInvoke(id, params) {
         result.timers = metrics.getStats().timers;
       }
 
+      if (circuitBreaker.enabled) {
+        result.circuits = circuitBreaker.getStats();
+      }
+
+      result.rateLimits = rateLimiter.getStats();
+
       sendToolResult(result);
       return;
     }
@@ -4852,10 +7369,12 @@ async function handleToolsInvoke(id, params) {
     if (name === "clear_cache") {
       const { confirm } = input;
       if (!confirm) {
-        sendError(
-          id,
-          -32000,
-          "Cache clear requires confirmation. Set confirm: true to proceed."
+        sendToolError(
+          new ValidationError(
+            "Cache clear requires confirmation. Set confirm: true to proceed.",
+            "confirm",
+            confirm
+          )
         );
         return;
       }
@@ -4870,6 +7389,16 @@ async function handleToolsInvoke(id, params) {
       return;
     }
 
+    if (name === "reload_endpoints") {
+      const outcome = await reloadEndpointsOnce();
+      sendToolResult({
+        ...outcome,
+        total: ENDPOINTS.length,
+        dynamic: Object.keys(DYNAMIC_TOOL_MAP).length,
+      });
+      return;
+    }
+
     if (name === "health_check") {
       const { detailed = false } = input;
       const health = {
@@ -4897,6 +7426,22 @@ async function handleToolsInvoke(id, params) {
         if (detailed) health.checks.apiError = error.message;
       }
 
+      // Circuit breaker status
+      if (circuitBreaker.enabled) {
+        const circuits = circuitBreaker.getStats();
+        const tripped = Object.keys(circuits).filter(
+          (endpoint) => circuits[endpoint].state !== "closed"
+        );
+        if (tripped.length > 0) health.status = "degraded";
+        health.checks.circuits = {
+          enabled: true,
+          open: tripped,
+          ...(detailed && { endpoints: circuits }),
+        };
+      } else {
+        health.checks.circuits = { enabled: false };
+      }
+
       // Configuration check
       health.checks.configuration = {
         logLevel: CONFIG.logLevel,
@@ -4949,69 +7494,86 @@ async function handleToolsInvoke(id, params) {
         );
       }
 
-      const results = [];
-      const errors = [];
-
-      for (let i = 0; i < updates.length; i++) {
-        const update = updates[i];
-        try {
-          validateString(update.mailboxId, "mailboxId");
+      const chunkSize = input.chunkSize ?? CONFIG.bulkUpdateChunkSize;
+      if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+        throw new ValidationError(
+          "'chunkSize' must be a positive integer",
+          "chunkSize",
+          input.chunkSize
+        );
+      }
 
-          const updateData = {};
-          if (update.firstName)
-            updateData.firstName = validateString(
-              update.firstName,
-              "firstName"
-            );
-          if (update.lastName)
-            updateData.lastName = validateString(update.lastName, "lastName");
-          if (update.username)
-            updateData.username = validateString(update.username, "username");
+      const ws = workspaceKey ?? currentContext().workspaceKey;
+      const sp = serviceProvider ?? currentContext().serviceProvider;
+      const headers = {
+        ...(ws ? { "x-workspace-key": ws } : {}),
+        ...(sp ? { "x-service-provider": String(sp).toUpperCase() } : {}),
+      };
 
-          if (Object.keys(updateData).length === 0) {
-            errors.push({ index: i, error: "No valid update fields provided" });
-            continue;
-          }
+      // Entries that fail validation never reach the API
+      const outcomes = new Array(updates.length);
+      const valid = [];
+      updates.forEach((update, index) => {
+        try {
+          valid.push({ index, item: mailboxUpdateData(update) });
+        } catch (error) {
+          outcomes[index] = { error: error.message };
+        }
+      });
 
-          const ws = workspaceKey ?? CONTEXT.workspaceKey;
-          const sp = serviceProvider ?? CONTEXT.serviceProvider;
-          const headers = {
-            ...(ws ? { "x-workspace-key": ws } : {}),
-            ...(sp ? { "x-service-provider": String(sp).toUpperCase() } : {}),
-          };
+      const chunks = [];
+      for (let i = 0; i < valid.length; i += chunkSize) {
+        chunks.push(valid.slice(i, i + chunkSize));
+      }
 
-          const data = await apiFetch("/v2/mailboxes", {
-            method: "PUT",
-            body: {
-              mailboxData: [
-                {
-                  mailboxId: update.mailboxId,
-                  ...updateData,
-                },
-              ],
-            },
-            headers,
-          });
+      let settledCount = updates.length - valid.length;
+      const entries = await mapWithPool(
+        chunks,
+        (chunk) =>
+          updateMailboxChunk(
+            chunk.map(({ item }) => item),
+            { headers, signal }
+          ),
+        {
+          signal,
+          onSettled: (index, entry) => {
+            settledCount += chunks[index].length;
+            onProgress?.(
+              settledCount,
+              updates.length,
+              `${entry.error ? "Failed" : "Sent"} ${
+                chunks[index].length
+              } mailbox updates`
+            );
+          },
+        }
+      );
+      entries.forEach((entry, c) => {
+        if (!entry) return;
+        chunks[c].forEach(({ index }, k) => {
+          outcomes[index] = entry.error
+            ? { error: entry.error.message }
+            : entry.value[k];
+        });
+      });
 
+      const results = [];
+      const errors = [];
+      outcomes.forEach((outcome, index) => {
+        // Left unsent when the request was cancelled
+        if (!outcome) return;
+        const mailboxId = updates[index]?.mailboxId;
+        if (outcome.error) {
+          errors.push({ index, mailboxId, error: outcome.error });
+        } else {
           results.push({
-            index: i,
-            mailboxId: update.mailboxId,
+            index,
+            mailboxId,
             status: "success",
-            data,
-          });
-
-          // Rate limiting between updates
-          if (i < updates.length - 1) {
-            await sleep(CONFIG.rateLimitDelay);
-          }
-        } catch (error) {
-          errors.push({
-            index: i,
-            mailboxId: update.mailboxId,
-            error: error.message,
+            data: outcome.data,
           });
         }
-      }
+      });
 
       sendToolResult({
         total: updates.length,
@@ -5019,6 +7581,7 @@ async function handleToolsInvoke(id, params) {
         failed: errors.length,
         results,
         errors,
+        ...(signal?.aborted && { cancelled: true }),
       });
       return;
     }
@@ -5035,8 +7598,8 @@ async function handleToolsInvoke(id, params) {
       } = input;
 
       // Get all mailboxes first
-      const ws = workspaceKey ?? CONTEXT.workspaceKey;
-      const sp = serviceProvider ?? CONTEXT.serviceProvider;
+      const ws = workspaceKey ?? currentContext().workspaceKey;
+      const sp = serviceProvider ?? currentContext().serviceProvider;
       const headers = {
         ...(ws ? { "x-workspace-key": ws } : {}),
         ...(sp ? { "x-service-provider": String(sp).toUpperCase() } : {}),
@@ -5112,22 +7675,29 @@ async function handleToolsInvoke(id, params) {
         version: "2.0-enhanced",
         features: {
           llmPlanner: FEATURE_FLAGS.llmPlanner,
+          samplingPlanner:
+            FEATURE_FLAGS.samplingPlanner &&
+            Boolean(getClientCapabilities().sampling),
           caching: CONFIG.enableCaching,
+          diskCache: Boolean(diskCache),
           metrics: CONFIG.enableMetrics,
           rateLimiting: true,
           enhancedLogging: true,
           validation: true,
           exportSystem: true,
+          sandbox: Boolean(SANDBOX),
         },
         configuration: {
           logLevel: CONFIG.logLevel,
           maxRetries: CONFIG.maxRetries,
           timeoutMs: CONFIG.timeoutMs,
-          rateLimitDelay: CONFIG.rateLimitDelay,
+          batchConcurrency: CONFIG.batchConcurrency,
         },
         context: {
-          workspaceKey: CONTEXT.workspaceKey ? "configured" : "not_set",
-          serviceProvider: CONTEXT.serviceProvider,
+          workspaceKey: currentContext().workspaceKey
+            ? "configured"
+            : "not_set",
+          serviceProvider: currentContext().serviceProvider,
         },
         endpoints: {
           total: ENDPOINTS.length,
@@ -5188,7 +7758,13 @@ async function handleToolsInvoke(id, params) {
             result.troubleshooting = EXPORT_SYSTEM.troubleshooting;
           }
         } else {
-          sendError(id, -32000, `Unsupported platform: ${platform}`);
+          sendToolError(
+            new ValidationError(
+              `Unsupported platform: ${platform}`,
+              "platform",
+              platform
+            )
+          );
           return;
         }
       }
@@ -5207,7 +7783,7 @@ async function handleToolsInvoke(id, params) {
         );
           sendToolResult(instructions);
       } catch (error) {
-        sendError(id, -32000, error.message);
+        sendToolError(error);
       }
       return;
     }
@@ -5360,7 +7936,7 @@ async function handleToolsInvoke(id, params) {
           sendToolResult(result);
         }
       } catch (error) {
-        sendError(id, -32000, error.message);
+        sendToolError(error);
       }
       return;
     }
@@ -5383,7 +7959,7 @@ async function handleToolsInvoke(id, params) {
           total: results.length,
         });
       } catch (error) {
-        sendError(id, -32000, error.message);
+        sendToolError(error);
       }
       return;
     }
@@ -5397,10 +7973,12 @@ async function handleToolsInvoke(id, params) {
           const scenarios = API_GUIDANCE.getCategoryScenarios(category);
           const scenarioInfo = scenarios[scenario];
           if (!scenarioInfo) {
-            sendError(
-              id,
-              -32000,
-              `Unknown scenario: ${scenario} in category ${category}`
+            sendToolError(
+              new ValidationError(
+                `Unknown scenario: ${scenario} in category ${category}`,
+                "scenario",
+                scenario
+              )
             );
             return;
           }
@@ -5414,7 +7992,7 @@ async function handleToolsInvoke(id, params) {
           });
         }
       } catch (error) {
-        sendError(id, -32000, error.message);
+        sendToolError(error);
       }
       return;
     }
@@ -5448,7 +8026,7 @@ async function handleToolsInvoke(id, params) {
         });
         }
       } catch (error) {
-        sendError(id, -32000, error.message);
+        sendToolError(error);
       }
       return;
     }
@@ -5468,7 +8046,7 @@ async function handleToolsInvoke(id, params) {
           examples,
         });
       } catch (error) {
-        sendError(id, -32000, error.message);
+        sendToolError(error);
       }
       return;
     }
@@ -5484,9 +8062,9 @@ async function handleToolsInvoke(id, params) {
         workspaceKey,
         serviceProvider,
       } = input;
-      // Use input overrides if provided, otherwise fall back to global CONTEXT
-      const ws = workspaceKey ?? CONTEXT.workspaceKey;
-      const sp = serviceProvider ?? CONTEXT.serviceProvider;
+      // Use input overrides if provided, otherwise fall back to the caller's context
+      const ws = workspaceKey ?? currentContext().workspaceKey;
+      const sp = serviceProvider ?? currentContext().serviceProvider;
       const headers = {
         ...(ws ? { "x-workspace-key": ws } : {}),
         ...(sp ? { "x-service-provider": String(sp).toUpperCase() } : {}),
@@ -5499,6 +8077,7 @@ async function handleToolsInvoke(id, params) {
         query,
         body,
         headers,
+        signal,
       });
       sendToolResult(data);
       return;
@@ -5509,7 +8088,14 @@ async function handleToolsInvoke(id, params) {
       `Unknown tool '${name}'. Use tools/list to see available tools.`
     );
   } catch (err) {
-    sendError(id, -32000, err.message);
+    if (isCancellation(err, signal)) {
+      // Like the batch tools' partial results, a cancelled call is still
+      // answered, so the client always learns how far it got
+      logger.info("Tool call cancelled", { requestId: id, tool: name });
+      sendToolError(err instanceof CancelledError ? err : signal.reason);
+      return;
+    }
+    sendToolError(err);
   }
 }
 
@@ -5525,19 +8111,320 @@ function getResourcesMap() {
   };
 }
 
+// Live account-state resources, resolved against the API on every read.
+// Templates with a snapshot() can be subscribed to: the poller compares
+// successive snapshots (flat key -> value maps) and notifies on any change.
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "zapmail://workspaces/{workspaceKey}/domains",
+    name: "workspace_domains",
+    title: "Workspace domains",
+    description: "Domains in a workspace, as returned by GET /v2/domains.",
+    read: ({ workspaceKey }, { skipCache } = {}) =>
+      listDomains({ workspaceKey, skipCache }),
+    snapshot: (data) => {
+      const items =
+        data?.domains || data?.data?.domains || data?.data || data || [];
+      const statuses = {};
+      for (const d of Array.isArray(items) ? items : []) {
+        const key = d.domain || d.name || d.id || d.domainId;
+        if (key) statuses[key] = d.status ?? null;
+      }
+      return statuses;
+    },
+  },
+  {
+    uriTemplate: "zapmail://workspaces/{workspaceKey}/mailboxes",
+    name: "workspace_mailboxes",
+    title: "Workspace mailboxes",
+    description:
+      "Mailboxes grouped by domain, as returned by GET /v2/mailboxes/list.",
+    read: ({ workspaceKey }, { skipCache } = {}) =>
+      apiFetch("/v2/mailboxes/list", {
+        headers: { "x-workspace-key": workspaceKey },
+        skipCache,
+      }),
+    snapshot: (data) => {
+      const statuses = {};
+      for (const domainData of data?.data?.domains || data?.domains || []) {
+        for (const mailbox of domainData.mailboxes || []) {
+          const key = mailbox.username
+            ? `${mailbox.username}@${domainData.domain}`
+            : mailbox.id || mailbox.mailboxId;
+          if (key) statuses[key] = mailbox.status ?? null;
+        }
+      }
+      return statuses;
+    },
+  },
+  {
+    uriTemplate: "zapmail://workspaces/{workspaceKey}/wallet",
+    name: "workspace_wallet",
+    title: "Wallet balance",
+    description: "Wallet balance for a workspace.",
+    read: ({ workspaceKey }, { skipCache } = {}) =>
+      apiFetch("/v2/wallet/balance", {
+        headers: { "x-workspace-key": workspaceKey },
+        skipCache,
+      }),
+    snapshot: (data) => ({
+      balance:
+        data?.walletBalance ??
+        data?.balance ??
+        data?.data?.walletBalance ??
+        null,
+    }),
+  },
+  {
+    uriTemplate: "zapmail://domains/{domainId}/dns",
+    name: "domain_dns",
+    title: "Domain DNS records",
+    description: "DNS records for a domain in the active workspace.",
+    read: ({ domainId }) =>
+      apiFetch(`/v2/dns/${encodeURIComponent(domainId)}/records`),
+  },
+  {
+    uriTemplate: "zapmail://mailboxes/{mailboxId}",
+    name: "mailbox",
+    title: "Mailbox details",
+    description: "Details of a single mailbox in the active workspace.",
+    read: ({ mailboxId }) =>
+      apiFetch(`/v2/mailboxes/${encodeURIComponent(mailboxId)}`),
+  },
+];
+
+function matchResourceTemplate(uri) {
+  for (const template of RESOURCE_TEMPLATES) {
+    const names = [];
+    const pattern = template.uriTemplate
+      .replace(/[.*+?^$()|[\]\\]/g, "\\$&")
+      .replace(/\{(\w+)\}/g, (_, name) => {
+        names.push(name);
+        return "([^/]+)";
+      });
+    const match = new RegExp(`^${pattern}$`).exec(uri);
+    if (match) {
+      const vars = {};
+      names.forEach((name, i) => {
+        try {
+          vars[name] = decodeURIComponent(match[i + 1]);
+        } catch (_) {
+          // Malformed percent-encoding, e.g. a truncated "%E0%A4%A"
+          throw new ValidationError(
+            `Invalid resource URI '${uri}'.`,
+            "uri",
+            uri
+          );
+        }
+      });
+      return { template, vars };
+    }
+  }
+  return null;
+}
+
+function sendResourceContent(id, uri, mimeType, text) {
+  // Flat fields for resources/get callers, contents[] for MCP resources/read
+  sendResult(id, { uri, mimeType, text, contents: [{ uri, mimeType, text }] });
+}
+
 async function handleResourcesGet(id, params) {
   await ENDPOINTS_PROMISE;
   const uri = params?.uri;
   const resources = getResourcesMap();
   if (uri in resources) {
-    sendResult(id, { uri, mimeType: "text/plain", text: resources[uri] });
-  } else {
+    sendResourceContent(id, uri, "text/plain", resources[uri]);
+    return;
+  }
+  let matched;
+  try {
+    matched = typeof uri === "string" ? matchResourceTemplate(uri) : null;
+  } catch (err) {
+    sendError(id, -32602, err.message, err.details);
+    return;
+  }
+  if (!matched) {
     sendError(id, -32601, `Unknown resource '${uri}'.`);
+    return;
   }
-}
-
-async function handleResourcesList(id) {
-  await ENDPOINTS_PROMISE;
+  try {
+    const data = await matched.template.read(matched.vars);
+    sendResourceContent(
+      id,
+      uri,
+      "application/json",
+      JSON.stringify(data, null, 2)
+    );
+  } catch (err) {
+    sendError(id, -32000, err.message, { uri });
+  }
+}
+
+function handleResourceTemplatesList(id) {
+  const resourceTemplates = RESOURCE_TEMPLATES.map(
+    ({ uriTemplate, name, title, description }) => ({
+      uriTemplate,
+      name,
+      title,
+      description,
+      mimeType: "application/json",
+    })
+  );
+  sendResult(id, { resourceTemplates });
+}
+
+// ---------------------------------------------------------------------------
+// Resource subscriptions
+// ---------------------------------------------------------------------------
+
+// Subscribed URIs -> { uri, template, vars, sessions, snapshot }. `sessions`
+// maps a session key to the HTTP session (or null for stdio) to notify.
+const SUBSCRIPTIONS = new Map();
+let subscriptionTimer = null;
+let subscriptionPollRunning = false;
+
+function currentSessionKey() {
+  const session = REQUEST_SCOPE.getStore()?.session;
+  return session ? session.id : "stdio";
+}
+
+function deliverToSession(session, message) {
+  if (!session) {
+    defaultSink(message);
+    return;
+  }
+  for (const stream of session.streams) writeSseEvent(stream, message);
+}
+
+function diffSnapshots(previous, next) {
+  const changes = [];
+  for (const key of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    if (previous[key] !== next[key]) {
+      changes.push({ key, from: previous[key], to: next[key] });
+    }
+  }
+  return changes;
+}
+
+async function refreshSubscription(sub) {
+  const data = await sub.template.read(sub.vars, { skipCache: true });
+  const next = sub.template.snapshot(data);
+  const previous = sub.snapshot;
+  sub.snapshot = next;
+  // The first successful read only establishes the baseline
+  if (!previous) return;
+  const changes = diffSnapshots(previous, next);
+  if (changes.length === 0) return;
+  logger.info("Subscribed resource changed", {
+    uri: sub.uri,
+    changes: changes.length,
+  });
+  if (metrics) metrics.increment("resource_updates_sent");
+  const message = {
+    jsonrpc: "2.0",
+    method: "notifications/resources/updated",
+    params: { uri: sub.uri, _meta: { changes } },
+  };
+  for (const session of sub.sessions.values()) {
+    deliverToSession(session, message);
+  }
+}
+
+async function pollSubscriptions() {
+  if (subscriptionPollRunning) return;
+  subscriptionPollRunning = true;
+  try {
+    for (const sub of [...SUBSCRIPTIONS.values()]) {
+      // Logged only to the sessions subscribed to this resource
+      const sessions = [...sub.sessions.values()].filter(Boolean);
+      await runDetached(async () => {
+        try {
+          await refreshSubscription(sub);
+        } catch (err) {
+          logger.warn("Subscription poll failed", {
+            uri: sub.uri,
+            error: err.message,
+          });
+        }
+      }, sessions);
+    }
+  } finally {
+    subscriptionPollRunning = false;
+  }
+}
+
+function updateSubscriptionPoller() {
+  if (SUBSCRIPTIONS.size > 0 && !subscriptionTimer) {
+    // Created outside any request scope so notifications never get routed
+    // into the HTTP response of the request that started the poller
+    subscriptionTimer = REQUEST_SCOPE.exit(() =>
+      setInterval(pollSubscriptions, CONFIG.subscriptionPollMs)
+    );
+    subscriptionTimer.unref();
+  } else if (SUBSCRIPTIONS.size === 0 && subscriptionTimer) {
+    clearInterval(subscriptionTimer);
+    subscriptionTimer = null;
+  }
+}
+
+function handleResourcesSubscribe(id, params) {
+  const uri = params?.uri;
+  let matched;
+  try {
+    matched = typeof uri === "string" ? matchResourceTemplate(uri) : null;
+  } catch (err) {
+    sendError(id, -32602, err.message, err.details);
+    return;
+  }
+  if (!matched?.template.snapshot) {
+    sendError(id, -32602, `Resource '${uri}' does not support subscriptions.`, {
+      uri,
+    });
+    return;
+  }
+  let sub = SUBSCRIPTIONS.get(uri);
+  if (!sub) {
+    sub = { uri, ...matched, sessions: new Map(), snapshot: null };
+    SUBSCRIPTIONS.set(uri, sub);
+    runDetached(() =>
+      refreshSubscription(sub).catch((err) =>
+        logger.warn("Subscription baseline failed", {
+          uri,
+          error: err.message,
+        })
+      )
+    );
+  }
+  sub.sessions.set(
+    currentSessionKey(),
+    REQUEST_SCOPE.getStore()?.session || null
+  );
+  updateSubscriptionPoller();
+  logger.info("Resource subscribed", { uri, subscribers: sub.sessions.size });
+  sendResult(id, {});
+}
+
+function handleResourcesUnsubscribe(id, params) {
+  const uri = params?.uri;
+  const sub = SUBSCRIPTIONS.get(uri);
+  if (sub) {
+    sub.sessions.delete(currentSessionKey());
+    if (sub.sessions.size === 0) SUBSCRIPTIONS.delete(uri);
+    updateSubscriptionPoller();
+  }
+  sendResult(id, {});
+}
+
+function dropSessionSubscriptions(sessionKey) {
+  for (const [uri, sub] of SUBSCRIPTIONS) {
+    sub.sessions.delete(sessionKey);
+    if (sub.sessions.size === 0) SUBSCRIPTIONS.delete(uri);
+  }
+  updateSubscriptionPoller();
+}
+
+async function handleResourcesList(id) {
+  await ENDPOINTS_PROMISE;
   const resources = getResourcesMap();
   const list = Object.keys(resources).map((uri) => ({
     uri,
@@ -5548,8 +8435,186 @@ async function handleResourcesList(id) {
 }
 
 function handlePromptsList(id) {
-  // No prompts defined yet; return empty list for compatibility
-  sendResult(id, { prompts: [] });
+  const prompts = Object.entries(PROMPT_DEFINITIONS).map(([name, def]) => ({
+    name,
+    title: def.title,
+    description: def.description,
+    arguments: def.arguments.map(({ name, description, required }) => ({
+      name,
+      description,
+      required,
+    })),
+  }));
+  sendResult(id, { prompts });
+}
+
+function renderPrompt(name, args = {}) {
+  const def = PROMPT_DEFINITIONS[name];
+  if (!def) {
+    throw new ValidationError(`Unknown prompt '${name}'`, "name", name);
+  }
+  const values = {};
+  for (const arg of def.arguments) {
+    let value = args[arg.name];
+    if (value === undefined || value === null || String(value).trim() === "") {
+      if (arg.required) {
+        throw new ValidationError(
+          `Prompt argument '${arg.name}' is required`,
+          arg.name,
+          value
+        );
+      }
+      value = arg.default;
+    }
+    value = String(value).trim();
+    if (arg.integer && !/^[1-9]\d*$/.test(value)) {
+      throw new ValidationError(
+        `Prompt argument '${arg.name}' must be a positive integer`,
+        arg.name,
+        value
+      );
+    }
+    values[arg.placeholder] = value;
+  }
+  // Only substitute known placeholders; JSON examples in the text stay intact
+  const text = def.template.replace(/\{([A-Z_]+)\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match
+  );
+  return {
+    description: def.description,
+    messages: [{ role: "user", content: { type: "text", text: text.trim() } }],
+  };
+}
+
+function handlePromptsGet(id, params) {
+  try {
+    sendResult(id, renderPrompt(params?.name, params?.arguments || {}));
+  } catch (err) {
+    sendError(id, -32602, err.message, err.details);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Argument completion
+// ---------------------------------------------------------------------------
+
+const COMPLETION_MAX_VALUES = 100;
+
+async function completeWorkspaceKeys() {
+  const data = await listWorkspaces();
+  const items = data?.data || data?.workspaces || data || [];
+  return Array.isArray(items)
+    ? items.map((w) => w.id || w.workspaceKey || w.key)
+    : [];
+}
+
+async function completeDomains(context, pick) {
+  const data = await listDomains({ workspaceKey: context.workspaceKey });
+  const items =
+    data?.domains || data?.data?.domains || data?.data || data || [];
+  return Array.isArray(items) ? items.map(pick) : [];
+}
+
+async function completeMailboxIds(context) {
+  const ws = context.workspaceKey ?? currentContext().workspaceKey;
+  const data = await apiFetch("/v2/mailboxes/list", {
+    headers: ws ? { "x-workspace-key": ws } : {},
+  });
+  const ids = [];
+  for (const domainData of data?.data?.domains || data?.domains || []) {
+    for (const mailbox of domainData.mailboxes || []) {
+      ids.push(mailbox.id || mailbox.mailboxId);
+    }
+  }
+  return ids;
+}
+
+const completeDomainNames = (context) =>
+  completeDomains(context, (d) => d.domain || d.name);
+
+// Candidate values by argument name. Tools, prompts and resource templates
+// mostly use the same names, so these apply whatever the ref points at
+// unless REF_COMPLETION_SOURCES says otherwise. `context` holds the arguments
+// the client has already filled in.
+const COMPLETION_SOURCES = {
+  workspaceKey: completeWorkspaceKeys,
+  domain: completeDomainNames,
+  domainName: completeDomainNames,
+  domains: completeDomainNames,
+  contains: completeDomainNames,
+  domainId: (context) => completeDomains(context, (d) => d.id || d.domainId),
+  mailboxId: completeMailboxIds,
+  ids: completeMailboxIds,
+  app: () => Object.keys(EXPORT_SYSTEM.supportedApps),
+  apps: () => Object.keys(EXPORT_SYSTEM.supportedApps),
+  platform: () => Object.keys(EXPORT_SYSTEM.supportedApps),
+  scenario: () => Object.keys(EXPORT_SYSTEM.scenarios),
+  category: () => Object.keys(API_ENDPOINT_SYSTEM),
+  endpoint: (context) => {
+    const categories = context.category
+      ? [API_ENDPOINT_SYSTEM[context.category]]
+      : Object.values(API_ENDPOINT_SYSTEM);
+    return categories.flatMap((c) => Object.keys(c?.endpoints || {}));
+  },
+};
+
+// Per-ref exceptions, keyed "type:name" (or "type:uri" for resources). The
+// domains to buy or check are ones the user does not own yet, so owned
+// domains are no suggestion there; null means no suggestions.
+const REF_COMPLETION_SOURCES = {
+  "ref/tool:purchase_domains": { domains: null },
+  "ref/tool:check_domain_availability": { domainName: null },
+  "ref/tool:check_domain_availability_batch": { domains: null },
+  "ref/prompt:domain_generation": { excludeDomains: completeDomainNames },
+};
+
+function completionSource(ref, argument) {
+  const refKey = `${ref?.type}:${ref?.name ?? ref?.uri}`;
+  const overrides = Object.hasOwn(REF_COMPLETION_SOURCES, refKey)
+    ? REF_COMPLETION_SOURCES[refKey]
+    : {};
+  if (Object.hasOwn(overrides, argument)) return overrides[argument];
+  return Object.hasOwn(COMPLETION_SOURCES, argument)
+    ? COMPLETION_SOURCES[argument]
+    : null;
+}
+
+function rankCompletions(candidates, value) {
+  const needle = String(value || "").toLowerCase();
+  const unique = [
+    ...new Set(candidates.filter((c) => typeof c === "string" && c)),
+  ];
+  const prefix = unique.filter((c) => c.toLowerCase().startsWith(needle));
+  const infix = unique.filter(
+    (c) =>
+      !c.toLowerCase().startsWith(needle) && c.toLowerCase().includes(needle)
+  );
+  return [...prefix, ...infix];
+}
+
+async function handleCompletionComplete(id, params) {
+  const name = params?.argument?.name;
+  const source = completionSource(params?.ref, name);
+  let matches = [];
+  if (source) {
+    try {
+      const candidates = await source(params?.context?.arguments || {});
+      matches = rankCompletions(candidates, params.argument.value);
+    } catch (err) {
+      // Completion is best effort; an API failure just means no suggestions
+      logger.debug("Completion source failed", {
+        argument: name,
+        error: err.message,
+      });
+    }
+  }
+  sendResult(id, {
+    completion: {
+      values: matches.slice(0, COMPLETION_MAX_VALUES),
+      total: matches.length,
+      hasMore: matches.length > COMPLETION_MAX_VALUES,
+    },
+  });
 }
 
 // Prompts (from user)
@@ -5708,6 +8773,110 @@ Follow every rule exactly and output ONLY the JSON specified in rule 5.
 
 :x: If you generate more than {MAX_COUNT} names or fail to meet these quality expectations, the response is INVALID.`;
 
+// MCP prompt definitions built from the templates above. Each argument fills
+// the matching {PLACEHOLDER} in the template.
+const PROMPT_DEFINITIONS = {
+  name_generation: {
+    title: "Generate mailbox usernames",
+    description:
+      "Generate professional, unique mailbox usernames for a person's name.",
+    template: NAME_GENERATION_PROMPT,
+    arguments: [
+      {
+        name: "name",
+        placeholder: "NAME",
+        description: "Person's full name or single word.",
+        required: true,
+      },
+      {
+        name: "numberOfNames",
+        placeholder: "NUMBER_OF_NAMES",
+        description: "Number of usernames to generate.",
+        required: true,
+        integer: true,
+      },
+    ],
+  },
+  pair_generation: {
+    title: "Generate name pairs",
+    description:
+      "Generate culturally appropriate firstname/lastname pairs for an ethnicity and gender.",
+    template: PAIR_GENERATION_PROMPT,
+    arguments: [
+      {
+        name: "numberOfNames",
+        placeholder: "NUMBER_OF_NAMES",
+        description: "Number of name pairs to generate.",
+        required: true,
+        integer: true,
+      },
+      {
+        name: "ethnicity",
+        placeholder: "ETHNICITY",
+        description: "Ethnicity category (e.g. European, South Asian).",
+        required: true,
+      },
+      {
+        name: "gender",
+        placeholder: "GENDER",
+        description: "male, female or neutral.",
+        required: false,
+        default: "neutral",
+      },
+    ],
+  },
+  gender_ethnicity_detection: {
+    title: "Detect gender and ethnicity",
+    description:
+      "Estimate the most likely gender and cultural background of a name.",
+    template: GENDER_ETHNICITY_DETECTION_PROMPT,
+    arguments: [
+      {
+        name: "name",
+        placeholder: "NAME",
+        description: "Name to analyze.",
+        required: true,
+      },
+    ],
+  },
+  domain_generation: {
+    title: "Generate domain names",
+    description:
+      "Generate brandable cold-outreach domain names from keywords and TLDs.",
+    template: DOMAIN_GENERATION_PROMPT,
+    arguments: [
+      {
+        name: "keywords",
+        placeholder: "KEYWORDS",
+        description: "Comma-separated keywords to build domains from.",
+        required: true,
+      },
+      {
+        name: "tlds",
+        placeholder: "TLDS",
+        description: "Comma-separated TLDs to use (e.g. .com, .ai).",
+        required: false,
+        default: ".com",
+      },
+      {
+        name: "excludeDomains",
+        placeholder: "EXCLUDE_DOMAINS",
+        description: "Comma-separated domains to exclude (already owned).",
+        required: false,
+        default: "none",
+      },
+      {
+        name: "maxCount",
+        placeholder: "MAX_COUNT",
+        description: "Exact number of domains to generate.",
+        required: false,
+        default: "10",
+        integer: true,
+      },
+    ],
+  },
+};
+
 const EXAMPLES_NL = `
 Examples (natural language -> plan):
 
@@ -5775,12 +8944,20 @@ function getPackageVersionSafe() {
 
 function handleInitialize(id, params) {
   CLIENT_INITIALIZED = true;
+  const session = REQUEST_SCOPE.getStore()?.session;
+  if (session) {
+    session.clientCapabilities = params.capabilities || {};
+  } else {
+    STDIO_CLIENT_CAPABILITIES = params.capabilities || {};
+  }
   const result = {
     protocolVersion: PROTOCOL_VERSION,
     capabilities: {
-      tools: {},
-      resources: {},
+      tools: { listChanged: true },
+      resources: { subscribe: true },
       prompts: {},
+      logging: {},
+      completions: {},
     },
     serverInfo: {
       name: "Zapmail MCP Server",
@@ -5790,53 +8967,618 @@ function handleInitialize(id, params) {
   sendResult(id, result);
 }
 
-let buffer = "";
-stdin.setEncoding("utf8");
-stdin.on("data", (chunk) => {
-  buffer += chunk;
-  let idx;
-  while ((idx = buffer.indexOf("\n")) >= 0) {
-    const line = buffer.slice(0, idx).trim();
-    buffer = buffer.slice(idx + 1);
-    if (!line) continue;
-    let msg;
-    try {
-      msg = JSON.parse(line);
-    } catch (err) {
-      stderr.write(`Invalid JSON: ${line}\n`);
-      continue;
+// ---------------------------------------------------------------------------
+// Request cancellation
+// ---------------------------------------------------------------------------
+
+// In-flight tool calls by session + JSON-RPC id, so notifications/cancelled
+// can abort the matching AbortController.
+const IN_FLIGHT = new Map();
+
+function inFlightKey(id) {
+  const session = REQUEST_SCOPE.getStore()?.session;
+  return `${session ? session.id : "stdio"}:${JSON.stringify(id)}`;
+}
+
+async function runCancellable(id, handler) {
+  const controller = new AbortController();
+  const key = inFlightKey(id);
+  const scope = REQUEST_SCOPE.getStore();
+  if (scope) scope.controller = controller;
+  IN_FLIGHT.set(key, controller);
+  try {
+    return await handler(controller.signal);
+  } finally {
+    IN_FLIGHT.delete(key);
+  }
+}
+
+function cancelInFlight(requestId, reason) {
+  const controller = IN_FLIGHT.get(inFlightKey(requestId));
+  if (!controller) return false;
+  logger.info("Cancelling request", { requestId, reason });
+  controller.abort(new CancelledError(reason || "Request cancelled by client"));
+  if (metrics) metrics.increment("requests_cancelled");
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// MCP logging
+// ---------------------------------------------------------------------------
+
+// RFC 5424 severities used by notifications/message, lowest first
+const MCP_LOG_LEVELS = [
+  "debug",
+  "info",
+  "notice",
+  "warning",
+  "error",
+  "critical",
+  "alert",
+  "emergency",
+];
+const LOGGER_TO_MCP_LEVEL = {
+  DEBUG: "debug",
+  INFO: "info",
+  WARN: "warning",
+  ERROR: "error",
+};
+
+// Level requested by the stdio client; HTTP sessions keep their own. Nothing
+// is forwarded until the client sends logging/setLevel.
+let STDIO_LOG_LEVEL = null;
+
+function wantsLogLevel(clientLevel, level) {
+  return (
+    clientLevel !== null &&
+    clientLevel !== undefined &&
+    MCP_LOG_LEVELS.indexOf(level) >= MCP_LOG_LEVELS.indexOf(clientLevel)
+  );
+}
+
+function forwardLogEntry(entry) {
+  const level = LOGGER_TO_MCP_LEVEL[entry.level];
+  const message = {
+    jsonrpc: "2.0",
+    method: "notifications/message",
+    params: {
+      level,
+      logger: "zapmail",
+      data: {
+        message: entry.message,
+        timestamp: entry.timestamp,
+        ...(entry.data && { data: entry.data }),
+      },
+    },
+  };
+  const scope = REQUEST_SCOPE.getStore();
+  if (TRANSPORT.mode !== "http") {
+    if (wantsLogLevel(STDIO_LOG_LEVEL, level)) {
+      (scope?.send || defaultSink)(message);
     }
-    const { id, method, params } = msg;
-    if (method === "initialize") {
-      handleInitialize(id, params || {});
-    } else if (method === "ping") {
-      // Simple ping response
-      sendResult(id, { ok: true });
-    } else if (method === "notifications/initialized") {
-      // Notification: no response expected
-      CLIENT_INITIALIZED = true;
-    } else if (method === "tools/call") {
-      // Alias to our tools/invoke handler (MCP -> server mapping)
-      const mapped = { tool_name: params?.name, input: params?.arguments, __from_mcp_call: true };
-      handleToolsInvoke(id, mapped);
-    } else if (method === "resources/read") {
-      // Alias to our resources/get handler
-      handleResourcesGet(id, { uri: params?.uri });
-    } else if (method === "tools/list") {
-      handleToolsList(id);
-    } else if (method === "tools/invoke") {
-      handleToolsInvoke(id, params);
-    } else if (method === "resources/get") {
-      handleResourcesGet(id, params);
-    } else if (method === "resources/list") {
-      handleResourcesList(id);
-    } else if (method === "prompts/list") {
-      handlePromptsList(id);
+    return;
+  }
+  // Entries logged while serving a request, or by background work a session
+  // started, only go to that session; the rest are server-wide
+  const sessions = scopeSessions() || HTTP_SESSIONS.values();
+  for (const session of sessions) {
+    if (!wantsLogLevel(session.logLevel, level)) continue;
+    if (scope?.send && scope.session === session) {
+      scope.send(message);
     } else {
-      // Avoid responding to notifications (no id)
-      if (typeof id !== "undefined") {
-        sendError(id, -32601, `Unknown method '${method}'.`);
+      deliverToSession(session, message);
+    }
+  }
+}
+
+function handleLoggingSetLevel(id, params) {
+  const level = String(params?.level || "").toLowerCase();
+  if (!MCP_LOG_LEVELS.includes(level)) {
+    sendError(id, -32602, `Invalid log level '${params?.level}'.`, {
+      levels: MCP_LOG_LEVELS,
+    });
+    return;
+  }
+  const session = REQUEST_SCOPE.getStore()?.session;
+  if (session) {
+    session.logLevel = level;
+  } else {
+    STDIO_LOG_LEVEL = level;
+  }
+  logger.info("Client log level set", { level });
+  sendResult(id, {});
+}
+
+async function dispatchMessage(msg) {
+  const { id, method, params } = msg;
+  if (!method && typeof id !== "undefined") {
+    // Response to one of our own requests (e.g. elicitation/create)
+    handleClientResponse(msg);
+  } else if (method === "initialize") {
+    handleInitialize(id, params || {});
+  } else if (method === "ping") {
+    // Simple ping response
+    sendResult(id, { ok: true });
+  } else if (method === "notifications/initialized") {
+    // Notification: no response expected
+    CLIENT_INITIALIZED = true;
+  } else if (method === "notifications/cancelled") {
+    cancelInFlight(params?.requestId, params?.reason);
+  } else if (method === "tools/call") {
+    // Alias to our tools/invoke handler (MCP -> server mapping)
+    const mapped = {
+      tool_name: params?.name,
+      input: params?.arguments,
+      _meta: params?._meta,
+      __from_mcp_call: true,
+    };
+    await runCancellable(id, (signal) =>
+      handleToolsInvoke(id, mapped, { signal })
+    );
+  } else if (method === "resources/read") {
+    // Alias to our resources/get handler
+    await handleResourcesGet(id, { uri: params?.uri });
+  } else if (method === "tools/list") {
+    await handleToolsList(id);
+  } else if (method === "tools/invoke") {
+    await runCancellable(id, (signal) =>
+      handleToolsInvoke(id, params, { signal })
+    );
+  } else if (method === "resources/get") {
+    await handleResourcesGet(id, params);
+  } else if (method === "resources/list") {
+    await handleResourcesList(id);
+  } else if (method === "resources/templates/list") {
+    handleResourceTemplatesList(id);
+  } else if (method === "completion/complete") {
+    await handleCompletionComplete(id, params);
+  } else if (method === "logging/setLevel") {
+    handleLoggingSetLevel(id, params);
+  } else if (method === "resources/subscribe") {
+    handleResourcesSubscribe(id, params);
+  } else if (method === "resources/unsubscribe") {
+    handleResourcesUnsubscribe(id, params);
+  } else if (method === "prompts/list") {
+    handlePromptsList(id);
+  } else if (method === "prompts/get") {
+    handlePromptsGet(id, params);
+  } else {
+    // Avoid responding to notifications (no id)
+    if (typeof id !== "undefined") {
+      sendError(id, -32601, `Unknown method '${method}'.`);
+    }
+  }
+}
+
+// Dispatches the members of a JSON-RPC batch concurrently (API calls still
+// queue on the shared rate limiter). Responses are collected for a single
+// batch reply; notifications such as progress are written straight away.
+async function dispatchBatch(messages) {
+  const responses = [];
+  const collect = (message) => {
+    if ("result" in message || "error" in message) {
+      responses.push(message);
+    } else {
+      defaultSink(message);
+    }
+  };
+  if (metrics) metrics.increment("batch_requests");
+  await Promise.all(
+    messages.map(async (msg) => {
+      if (!msg || typeof msg !== "object" || Array.isArray(msg)) {
+        responses.push({
+          jsonrpc: "2.0",
+          id: null,
+          error: { code: -32600, message: "Invalid Request" },
+        });
+        return;
+      }
+      try {
+        await REQUEST_SCOPE.run({ send: collect }, () => dispatchMessage(msg));
+      } catch (err) {
+        logger.error("Batch member failed", {
+          method: msg.method,
+          error: err.message,
+        });
+        if (typeof msg.id !== "undefined") {
+          collect({
+            jsonrpc: "2.0",
+            id: msg.id,
+            error: { code: -32603, message: err.message },
+          });
+        }
       }
+    })
+  );
+  return responses;
+}
+
+function startStdioTransport() {
+  let buffer = "";
+  stdin.setEncoding("utf8");
+  stdin.on("data", (chunk) => {
+    buffer += chunk;
+    let idx;
+    while ((idx = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, idx).trim();
+      buffer = buffer.slice(idx + 1);
+      if (!line) continue;
+      let msg;
+      try {
+        msg = JSON.parse(line);
+      } catch (err) {
+        stderr.write(`Invalid JSON: ${line}\n`);
+        continue;
+      }
+      if (Array.isArray(msg) && msg.length === 0) {
+        // An empty batch is answered with a single error, not an array
+        sendError(null, -32600, "Invalid Request: empty batch");
+      } else if (Array.isArray(msg)) {
+        dispatchBatch(msg).then((responses) => {
+          if (responses.length > 0) defaultSink(responses);
+        });
+      } else {
+        // A handler that throws fails its own request, not the server
+        dispatchMessage(msg).catch((err) => {
+          logger.error("Request failed", {
+            method: msg?.method,
+            error: err.message,
+          });
+          if (typeof msg?.id !== "undefined") {
+            sendError(msg.id, -32603, err.message);
+          }
+        });
+      }
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Streamable HTTP transport
+// ---------------------------------------------------------------------------
+
+const HTTP_MAX_BODY_BYTES = 4 * 1024 * 1024;
+const HTTP_SESSIONS = new Map();
+
+function writeSseEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function sendHttpJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { "content-type": "application/json", ...headers });
+  res.end(payload === undefined ? undefined : JSON.stringify(payload));
+}
+
+function sendHttpRpcError(res, status, code, message) {
+  sendHttpJson(res, status, {
+    jsonrpc: "2.0",
+    id: null,
+    error: { code, message },
+  });
+}
+
+function readHttpBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > HTTP_MAX_BODY_BYTES) {
+        reject(new ValidationError("Request body too large", "body", size));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Server-initiated messages outside any request go to every open GET stream
+function broadcastToSessions(message) {
+  for (const session of HTTP_SESSIONS.values()) {
+    for (const stream of session.streams) {
+      writeSseEvent(stream, message);
     }
   }
-});
+}
+
+function closeHttpSession(session, reason = "closed") {
+  for (const stream of session.streams) stream.end();
+  session.streams.clear();
+  HTTP_SESSIONS.delete(session.id);
+  dropSessionSubscriptions(session.id);
+  logger.info(`HTTP session ${reason}`, { sessionId: session.id });
+}
+
+// A session is idle when no GET stream is open and it has made no request
+// for the TTL, which is how sessions whose client vanished without a DELETE
+// get cleaned up
+function isIdleHttpSession(session, now = Date.now()) {
+  return (
+    session.streams.size === 0 &&
+    now - session.lastSeen >= TRANSPORT.sessionTtlMs
+  );
+}
+
+function expireIdleHttpSessions() {
+  const now = Date.now();
+  for (const session of [...HTTP_SESSIONS.values()]) {
+    if (isIdleHttpSession(session, now)) closeHttpSession(session, "expired");
+  }
+}
+
+// Makes room for a new session by evicting the least recently seen session
+// without an open stream. Returns false when every session is in use.
+function reserveHttpSessionSlot() {
+  if (HTTP_SESSIONS.size < TRANSPORT.maxSessions) return true;
+  let oldest = null;
+  for (const session of HTTP_SESSIONS.values()) {
+    if (session.streams.size > 0) continue;
+    if (!oldest || session.lastSeen < oldest.lastSeen) oldest = session;
+  }
+  if (!oldest) return false;
+  closeHttpSession(oldest, "evicted");
+  return true;
+}
+
+async function handleHttpPost(req, res, session) {
+  let msg;
+  try {
+    msg = JSON.parse(await readHttpBody(req));
+  } catch (err) {
+    sendHttpRpcError(res, 400, -32700, `Parse error: ${err.message}`);
+    return;
+  }
+  if (!msg || typeof msg !== "object" || Array.isArray(msg)) {
+    sendHttpRpcError(res, 400, -32600, "Expected a single JSON-RPC message");
+    return;
+  }
+
+  const headers = {};
+  if (msg.method === "initialize") {
+    if (!reserveHttpSessionSlot()) {
+      sendHttpRpcError(res, 503, -32000, "Too many open sessions");
+      return;
+    }
+    session = {
+      id: crypto.randomUUID(),
+      streams: new Set(),
+      context: { ...CONTEXT },
+      lastSeen: Date.now(),
+    };
+    HTTP_SESSIONS.set(session.id, session);
+    headers["mcp-session-id"] = session.id;
+    logger.info("HTTP session opened", { sessionId: session.id });
+  } else if (!session) {
+    sendHttpRpcError(
+      res,
+      400,
+      -32000,
+      "Missing or unknown Mcp-Session-Id header"
+    );
+    return;
+  }
+
+  // Notifications and client responses carry no reply
+  if (typeof msg.id === "undefined" || !msg.method) {
+    res.writeHead(202, headers).end();
+    await REQUEST_SCOPE.run({ session }, () => dispatchMessage(msg));
+    return;
+  }
+
+  const useSse = String(req.headers.accept || "").includes("text/event-stream");
+  let done = false;
+  const send = (message) => {
+    if (done) return;
+    const isFinal =
+      message.id === msg.id && ("result" in message || "error" in message);
+    if (useSse) {
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          "content-type": "text/event-stream",
+          "cache-control": "no-cache",
+          connection: "keep-alive",
+          ...headers,
+        });
+      }
+      writeSseEvent(res, message);
+      if (isFinal) {
+        done = true;
+        res.end();
+      }
+    } else if (isFinal) {
+      done = true;
+      sendHttpJson(res, 200, message, headers);
+    } else {
+      // Plain JSON responses cannot carry interim messages; use the session's
+      // GET stream
+      deliverToSession(session, message);
+    }
+  };
+
+  // Plain JSON requests can only reach the client through a GET stream
+  const scope = { session, send, streaming: useSse };
+  res.on("close", () => {
+    if (!done && scope.controller && !scope.controller.signal.aborted) {
+      scope.controller.abort(new CancelledError("HTTP client disconnected"));
+    }
+  });
+  await REQUEST_SCOPE.run(scope, () => dispatchMessage(msg));
+  if (!done && scope.controller?.signal.aborted) {
+    done = true;
+    if (!res.headersSent) res.writeHead(204);
+    res.end();
+  } else if (!done) {
+    send({
+      jsonrpc: "2.0",
+      id: msg.id,
+      error: { code: -32603, message: "No response produced for request" },
+    });
+  }
+}
+
+function handleHttpGet(req, res, session) {
+  if (!String(req.headers.accept || "").includes("text/event-stream")) {
+    sendHttpJson(res, 405, undefined, { allow: "POST, DELETE" });
+    return;
+  }
+  res.writeHead(200, {
+    "content-type": "text/event-stream",
+    "cache-control": "no-cache",
+    connection: "keep-alive",
+  });
+  res.write(": stream opened\n\n");
+  session.streams.add(res);
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 25000);
+  keepAlive.unref();
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    session.streams.delete(res);
+    session.lastSeen = Date.now();
+  });
+}
+
+const LOOPBACK_HOSTNAMES = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+function hostnameOf(value) {
+  try {
+    return new URL(value).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+// The Host header names the server the client meant to reach. Only loopback
+// names, the bind address and configured names are accepted, so a rebound
+// attacker domain never reaches the handlers.
+function isAllowedHost(host) {
+  const hostname = host ? hostnameOf(`http://${host}`) : null;
+  if (!hostname) return false;
+  return (
+    LOOPBACK_HOSTNAMES.has(hostname) ||
+    hostname === TRANSPORT.host.toLowerCase() ||
+    TRANSPORT.allowedHosts.includes(hostname)
+  );
+}
+
+function isAllowedOrigin(origin) {
+  if (TRANSPORT.allowedOrigins.length > 0) {
+    return TRANSPORT.allowedOrigins.includes(origin);
+  }
+  return LOOPBACK_HOSTNAMES.has(hostnameOf(origin));
+}
+
+function hasValidAuthToken(req) {
+  if (!TRANSPORT.authToken) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (!match) return false;
+  // Compare digests so the check takes the same time for any token
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(
+    digest(match[1].trim()),
+    digest(TRANSPORT.authToken)
+  );
+}
+
+async function handleHttpRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  if (url.pathname !== TRANSPORT.path) {
+    sendHttpJson(res, 404, {
+      error: `Not found. MCP endpoint is ${TRANSPORT.path}`,
+    });
+    return;
+  }
+
+  // Guard against DNS rebinding: both headers are attacker-controlled, so
+  // neither is trusted to vouch for the other
+  if (!isAllowedHost(req.headers.host)) {
+    sendHttpRpcError(
+      res,
+      403,
+      -32000,
+      `Host '${req.headers.host}' is not allowed`
+    );
+    return;
+  }
+  const origin = req.headers.origin;
+  if (origin && !isAllowedOrigin(origin)) {
+    sendHttpRpcError(res, 403, -32000, `Origin '${origin}' is not allowed`);
+    return;
+  }
+  if (!hasValidAuthToken(req)) {
+    res.setHeader("www-authenticate", "Bearer");
+    sendHttpRpcError(res, 401, -32000, "Missing or invalid bearer token");
+    return;
+  }
+
+  const sessionId = req.headers["mcp-session-id"];
+  const session = sessionId ? HTTP_SESSIONS.get(sessionId) : null;
+  if (sessionId && !session) {
+    sendHttpRpcError(res, 404, -32001, "Session not found");
+    return;
+  }
+  if (session) session.lastSeen = Date.now();
+
+  if (req.method === "POST") {
+    await handleHttpPost(req, res, session);
+  } else if (req.method === "GET") {
+    if (!session) {
+      sendHttpRpcError(res, 400, -32000, "Missing Mcp-Session-Id header");
+      return;
+    }
+    handleHttpGet(req, res, session);
+  } else if (req.method === "DELETE") {
+    if (!session) {
+      sendHttpRpcError(res, 400, -32000, "Missing Mcp-Session-Id header");
+      return;
+    }
+    closeHttpSession(session);
+    res.writeHead(204).end();
+  } else {
+    sendHttpJson(res, 405, undefined, { allow: "GET, POST, DELETE" });
+  }
+}
+
+function startHttpTransport() {
+  defaultSink = broadcastToSessions;
+  const sweep = setInterval(
+    expireIdleHttpSessions,
+    Math.min(TRANSPORT.sessionTtlMs, 60000)
+  );
+  sweep.unref();
+  const server = createServer((req, res) => {
+    handleHttpRequest(req, res).catch((err) => {
+      logger.error("HTTP transport error", { error: err.message });
+      if (!res.headersSent) {
+        sendHttpRpcError(res, 500, -32603, err.message);
+      } else {
+        res.end();
+      }
+    });
+  });
+  server.listen(TRANSPORT.port, TRANSPORT.host, () => {
+    logger.info("Streamable HTTP transport listening", {
+      url: `http://${TRANSPORT.host}:${TRANSPORT.port}${TRANSPORT.path}`,
+    });
+  });
+  return server;
+}
+
+logger.onEntry = forwardLogEntry;
+
+if (SANDBOX) {
+  logger.warn("Sandbox mode: API calls go to an in-memory fake Zapmail API", {
+    url: SANDBOX.url,
+  });
+}
+
+if (TRANSPORT.mode === "http") {
+  startHttpTransport();
+} else if (TRANSPORT.mode === "stdio") {
+  startStdioTransport();
+} else {
+  logger.error(`Unknown transport '${TRANSPORT.mode}'. Use stdio or http.`);
+  process.exit(1);
+}
@@ -0,0 +1,788 @@
+#!/usr/bin/env node
+"use strict";
+
+/*
+ * Zapmail sandbox API
+ *
+ * An in-memory stand-in for the parts of the Zapmail v2 API this MCP server
+ * uses, so provisioning flows can be tried without spending money:
+ * - Workspaces, user, wallet balance
+ * - Domains: list, availability, purchase (wallet deduction or payment link)
+ * - Mailboxes: create, list, get, update, delete
+ * - Exports: third-party accounts and mailbox exports
+ * - DNS records per domain
+ *
+ * Purchased domains and new mailboxes start PENDING and turn ACTIVE after
+ * ZAPMAIL_SANDBOX_ACTIVATION_MS. Requests over ZAPMAIL_SANDBOX_RATE_LIMIT per
+ * minute get a 429 with Retry-After. ZAPMAIL_SANDBOX_LATENCY_MS delays every
+ * response after the request has been applied. State lives in memory and is
+ * lost on exit.
+ *
+ * Usage:
+ *   node src/sandbox.js --port 4010
+ *   ZAPMAIL_API_BASE=http://127.0.0.1:4010 ZAPMAIL_API_KEY=any npx zapmail-mcp
+ * or let the MCP server start one in-process:
+ *   npx zapmail-mcp --sandbox
+ */
+
+import { createServer } from "node:http";
+import { argv, env } from "node:process";
+import { realpathSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { setTimeout as sleep } from "node:timers/promises";
+
+const DEFAULT_WORKSPACE = "ws-sandbox";
+
+const TLD_PRICES = {
+  com: 12,
+  net: 14,
+  org: 11,
+  io: 45,
+  co: 30,
+  ai: 80,
+};
+const DEFAULT_TLD_PRICE = 20;
+
+// Names that are always "registered elsewhere", so unavailable
+const TAKEN_DOMAINS = new Set([
+  "google.com",
+  "zapmail.ai",
+  "example.com",
+  "gmail.com",
+]);
+
+const EXPORT_APPS = new Set([
+  "REACHINBOX",
+  "INSTANTLY",
+  "SMARTLEAD",
+  "REPLY_IO",
+  "MANUAL",
+]);
+
+class SandboxHttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "SandboxHttpError";
+    this.status = status;
+  }
+}
+
+function domainPrice(domainName) {
+  const tld = domainName.split(".").pop();
+  return TLD_PRICES[tld] ?? DEFAULT_TLD_PRICE;
+}
+
+function requireString(value, field) {
+  if (typeof value !== "string" || !value.trim()) {
+    throw new SandboxHttpError(400, `'${field}' is required`);
+  }
+  return value.trim();
+}
+
+const USERNAME_PATTERN = /^[a-z0-9](?:[a-z0-9._-]*[a-z0-9])?$/;
+
+// Mailbox updates carry `username` (what the v2 API and the MCP server send);
+// `mailboxUsername`, the field creation uses, is accepted as well
+function updatedUsername(update) {
+  const field = update.username !== undefined ? "username" : "mailboxUsername";
+  if (update[field] === undefined) return undefined;
+  const username = requireString(update[field], field).toLowerCase();
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new SandboxHttpError(
+      400,
+      `'${field}' may only contain letters, digits, '.', '_' and '-'`
+    );
+  }
+  return username;
+}
+
+// ---------------------------------------------------------------------------
+// State
+// ---------------------------------------------------------------------------
+
+class SandboxState {
+  constructor({ activationMs = 5000, walletBalance = 100 } = {}) {
+    this.activationMs = activationMs;
+    this.nextId = 1;
+    this.workspaces = new Map();
+    // Idempotency-Key -> response, so a retried purchase is not applied twice
+    this.idempotentResponses = new Map();
+
+    const main = this.addWorkspace(DEFAULT_WORKSPACE, "Sandbox", walletBalance);
+    this.addWorkspace("ws-sandbox-empty", "Empty sandbox", 0);
+    const ready = this.addDomain(main, "sandbox-outreach.com", {
+      active: true,
+    });
+    this.addDomain(main, "sandbox-leads.io", { active: true });
+    for (const [firstName, lastName] of [
+      ["Ava", "Stone"],
+      ["Liam", "Parker"],
+    ]) {
+      this.addMailbox(main, ready, {
+        firstName,
+        lastName,
+        mailboxUsername: firstName.toLowerCase(),
+        active: true,
+      });
+    }
+  }
+
+  id(prefix) {
+    return `${prefix}_${String(this.nextId++).padStart(4, "0")}`;
+  }
+
+  // PENDING until activationMs after creation; computed on read so no timers
+  status(item) {
+    return Date.now() >= item.activatesAt ? "ACTIVE" : "PENDING";
+  }
+
+  addWorkspace(id, name, walletBalance) {
+    const workspace = {
+      id,
+      name,
+      walletBalance,
+      domains: new Map(),
+      mailboxes: new Map(),
+      exportAccounts: [],
+      exports: [],
+    };
+    this.workspaces.set(id, workspace);
+    return workspace;
+  }
+
+  workspace(key) {
+    const workspace = this.workspaces.get(key || DEFAULT_WORKSPACE);
+    if (!workspace) {
+      throw new SandboxHttpError(404, `Workspace '${key}' not found`);
+    }
+    return workspace;
+  }
+
+  addDomain(workspace, domainName, { years = 1, active = false } = {}) {
+    const now = Date.now();
+    const domain = {
+      id: this.id("dom"),
+      domain: domainName,
+      years,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + years * 365 * 86400000).toISOString(),
+      activatesAt: active ? now : now + this.activationMs,
+      dnsRecords: [],
+    };
+    for (const record of [
+      { type: "MX", name: "@", value: "mx.sandbox.zapmail.ai", priority: 10 },
+      { type: "TXT", name: "@", value: "v=spf1 include:zapmail.ai ~all" },
+      { type: "TXT", name: "_dmarc", value: "v=DMARC1; p=none" },
+    ]) {
+      domain.dnsRecords.push({ id: this.id("dns"), ttl: 3600, ...record });
+    }
+    workspace.domains.set(domain.id, domain);
+    return domain;
+  }
+
+  findDomain(workspace, domainId) {
+    const domain = workspace.domains.get(domainId);
+    if (!domain) {
+      throw new SandboxHttpError(404, `Domain '${domainId}' not found`);
+    }
+    return domain;
+  }
+
+  isRegistered(domainName) {
+    const name = domainName.toLowerCase();
+    if (TAKEN_DOMAINS.has(name)) return true;
+    for (const workspace of this.workspaces.values()) {
+      for (const domain of workspace.domains.values()) {
+        if (domain.domain === name) return true;
+      }
+    }
+    return false;
+  }
+
+  addMailbox(workspace, domain, { active = false, ...fields }) {
+    const username = requireString(
+      fields.mailboxUsername,
+      "mailboxUsername"
+    ).toLowerCase();
+    for (const existing of workspace.mailboxes.values()) {
+      if (existing.domainId === domain.id && existing.username === username) {
+        throw new SandboxHttpError(
+          409,
+          `Mailbox '${username}@${domain.domain}' already exists`
+        );
+      }
+    }
+    const now = Date.now();
+    const mailbox = {
+      id: this.id("mbx"),
+      domainId: domain.id,
+      firstName: fields.firstName || "",
+      lastName: fields.lastName || "",
+      username,
+      createdAt: new Date(now).toISOString(),
+      activatesAt: active ? now : now + this.activationMs,
+    };
+    workspace.mailboxes.set(mailbox.id, mailbox);
+    return mailbox;
+  }
+
+  findMailbox(workspace, mailboxId) {
+    const mailbox = workspace.mailboxes.get(mailboxId);
+    if (!mailbox) {
+      throw new SandboxHttpError(404, `Mailbox '${mailboxId}' not found`);
+    }
+    return mailbox;
+  }
+
+  domainView(workspace, domain) {
+    let assignedMailboxesCount = 0;
+    for (const mailbox of workspace.mailboxes.values()) {
+      if (mailbox.domainId === domain.id) assignedMailboxesCount++;
+    }
+    return {
+      id: domain.id,
+      domain: domain.domain,
+      status: this.status(domain),
+      assignedMailboxesCount,
+      createdAt: domain.createdAt,
+      expiresAt: domain.expiresAt,
+    };
+  }
+
+  mailboxView(workspace, mailbox) {
+    const domain = workspace.domains.get(mailbox.domainId);
+    return {
+      id: mailbox.id,
+      firstName: mailbox.firstName,
+      lastName: mailbox.lastName,
+      username: mailbox.username,
+      email: `${mailbox.username}@${domain.domain}`,
+      domainId: mailbox.domainId,
+      status: this.status(mailbox),
+      createdAt: mailbox.createdAt,
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+// ":name" segments become params. Routes are tried in order, so fixed paths
+// such as /v2/mailboxes/list must come before /v2/mailboxes/:mailboxId.
+function route(method, pattern, handler) {
+  const regex = new RegExp(
+    `^${pattern.replace(/:(\w+)/g, (_, name) => `(?<${name}>[^/]+)`)}$`
+  );
+  return { method, regex, handler };
+}
+
+// Handlers get { state, workspace, body, query, params } and return the JSON
+// body of a 200 response, or throw SandboxHttpError
+const ROUTES = [
+  route("GET", "/v2/user", () => ({
+    data: {
+      id: "usr_sandbox",
+      email: "sandbox@zapmail.local",
+      name: "Sandbox",
+    },
+  })),
+
+  route("GET", "/v2/workspaces", ({ state }) => ({
+    data: [...state.workspaces.values()].map(({ id, name }) => ({
+      id,
+      name,
+    })),
+  })),
+
+  route("GET", "/v2/wallet/balance", ({ workspace }) => ({
+    data: { walletBalance: workspace.walletBalance },
+  })),
+
+  route("GET", "/v2/domains", ({ state, workspace, query }) => {
+    const contains = query.get("contains")?.toLowerCase();
+    const domains = [...workspace.domains.values()]
+      .filter((d) => !contains || d.domain.includes(contains))
+      .map((d) => state.domainView(workspace, d));
+    return { data: { domains, total: domains.length } };
+  }),
+
+  route("POST", "/v2/domains/available", ({ state, body }) => {
+    const domainName = requireString(
+      body.domainName,
+      "domainName"
+    ).toLowerCase();
+    const years = Number(body.years) || 1;
+    const available = !state.isRegistered(domainName);
+    return {
+      data: {
+        domainName,
+        available,
+        availableDomains: available
+          ? [{ domainName, domainPrice: domainPrice(domainName), years }]
+          : [],
+      },
+    };
+  }),
+
+  route("POST", "/v2/domains/buy", ({ state, workspace, body }) => {
+    if (!Array.isArray(body.domains) || body.domains.length === 0) {
+      throw new SandboxHttpError(400, "'domains' must be a non-empty array");
+    }
+    const specs = body.domains.map((d) => ({
+      domainName: requireString(d?.domainName, "domainName").toLowerCase(),
+      years: Number(d?.years) || 1,
+    }));
+    for (const { domainName } of specs) {
+      if (state.isRegistered(domainName)) {
+        throw new SandboxHttpError(
+          409,
+          `Domain '${domainName}' is not available`
+        );
+      }
+    }
+    const total = specs.reduce(
+      (sum, { domainName, years }) => sum + domainPrice(domainName) * years,
+      0
+    );
+    const orderId = state.id("ord");
+    if (!body.useWallet) {
+      // Payment links are never paid in the sandbox, so nothing is bought
+      return {
+        data: {
+          orderId,
+          total,
+          paymentLink: `https://sandbox.zapmail.local/pay/${orderId}`,
+        },
+      };
+    }
+    if (workspace.walletBalance < total) {
+      throw new SandboxHttpError(
+        402,
+        `Insufficient wallet balance: ${workspace.walletBalance} < ${total}`
+      );
+    }
+    workspace.walletBalance -= total;
+    const domains = specs.map(({ domainName, years }) =>
+      state.domainView(
+        workspace,
+        state.addDomain(workspace, domainName, { years })
+      )
+    );
+    return {
+      data: {
+        orderId,
+        amountCharged: total,
+        walletBalance: workspace.walletBalance,
+        domains,
+      },
+    };
+  }),
+
+  route("POST", "/v2/mailboxes", ({ state, workspace, body }) => {
+    const entries = Object.entries(body);
+    if (entries.length === 0) {
+      throw new SandboxHttpError(400, "Body must map domain IDs to mailboxes");
+    }
+    // Validate everything first so a bad entry creates nothing
+    for (const [domainId, mailboxes] of entries) {
+      const domain = state.findDomain(workspace, domainId);
+      if (state.status(domain) !== "ACTIVE") {
+        throw new SandboxHttpError(
+          400,
+          `Domain '${domain.domain}' is not active yet`
+        );
+      }
+      if (!Array.isArray(mailboxes) || mailboxes.length === 0) {
+        throw new SandboxHttpError(400, `No mailboxes given for '${domainId}'`);
+      }
+    }
+    const created = [];
+    for (const [domainId, mailboxes] of entries) {
+      const domain = state.findDomain(workspace, domainId);
+      for (const fields of mailboxes) {
+        const mailbox = state.addMailbox(workspace, domain, fields);
+        created.push(state.mailboxView(workspace, mailbox));
+      }
+    }
+    return { data: { mailboxes: created, total: created.length } };
+  }),
+
+  route("PUT", "/v2/mailboxes", ({ state, workspace, body }) => {
+    if (!Array.isArray(body.mailboxData) || body.mailboxData.length === 0) {
+      throw new SandboxHttpError(
+        400,
+        "'mailboxData' must be a non-empty array"
+      );
+    }
+    // Everything is checked before anything changes, so a rejected request
+    // leaves every mailbox as it was
+    const mailboxes = body.mailboxData.map((update) =>
+      state.findMailbox(workspace, update?.mailboxId)
+    );
+    const usernames = body.mailboxData.map(updatedUsername);
+    usernames.forEach((username, i) => {
+      if (username === undefined) return;
+      const mailbox = mailboxes[i];
+      for (const other of workspace.mailboxes.values()) {
+        if (
+          other !== mailbox &&
+          other.domainId === mailbox.domainId &&
+          other.username === username
+        ) {
+          const { domain } = workspace.domains.get(mailbox.domainId);
+          throw new SandboxHttpError(
+            409,
+            `Mailbox '${username}@${domain}' already exists`
+          );
+        }
+      }
+    });
+    const updated = body.mailboxData.map((update, i) => {
+      const mailbox = mailboxes[i];
+      if (update.firstName !== undefined) mailbox.firstName = update.firstName;
+      if (update.lastName !== undefined) mailbox.lastName = update.lastName;
+      if (usernames[i] !== undefined) mailbox.username = usernames[i];
+      return state.mailboxView(workspace, mailbox);
+    });
+    return { data: { mailboxes: updated, total: updated.length } };
+  }),
+
+  route("GET", "/v2/mailboxes/list", ({ state, workspace }) => {
+    const domains = [...workspace.domains.values()].map((domain) => ({
+      domainId: domain.id,
+      domain: domain.domain,
+      mailboxes: [...workspace.mailboxes.values()]
+        .filter((m) => m.domainId === domain.id)
+        .map((m) => state.mailboxView(workspace, m)),
+    }));
+    return { data: { domains } };
+  }),
+
+  route("GET", "/v2/mailboxes/:mailboxId", ({ state, workspace, params }) => ({
+    data: state.mailboxView(
+      workspace,
+      state.findMailbox(workspace, params.mailboxId)
+    ),
+  })),
+
+  route(
+    "DELETE",
+    "/v2/mailboxes/:mailboxId",
+    ({ state, workspace, params }) => {
+      const mailbox = state.findMailbox(workspace, params.mailboxId);
+      workspace.mailboxes.delete(mailbox.id);
+      return { data: { id: mailbox.id, status: "DELETED" } };
+    }
+  ),
+
+  route(
+    "POST",
+    "/v2/exports/accounts/third-party",
+    ({ state, workspace, body }) => {
+      const email = requireString(body.email, "email");
+      requireString(body.password, "password");
+      const app = requireString(body.app, "app").toUpperCase();
+      if (!EXPORT_APPS.has(app) || app === "MANUAL") {
+        throw new SandboxHttpError(400, `Unsupported app '${app}'`);
+      }
+      const account = {
+        accountId: state.id("acc"),
+        app,
+        email,
+        status: "CONNECTED",
+      };
+      workspace.exportAccounts.push(account);
+      return { data: account };
+    }
+  ),
+
+  route("POST", "/v2/exports/mailboxes", ({ state, workspace, body }) => {
+    if (!Array.isArray(body.apps) || body.apps.length === 0) {
+      throw new SandboxHttpError(400, "'apps' must be a non-empty array");
+    }
+    const apps = body.apps.map((app) => String(app).toUpperCase());
+    for (const app of apps) {
+      if (!EXPORT_APPS.has(app)) {
+        throw new SandboxHttpError(400, `Unsupported app '${app}'`);
+      }
+      if (
+        app !== "MANUAL" &&
+        !workspace.exportAccounts.some((a) => a.app === app)
+      ) {
+        throw new SandboxHttpError(
+          400,
+          `No ${app} account connected. Add one via /v2/exports/accounts/third-party first.`
+        );
+      }
+    }
+    const ids = Array.isArray(body.ids) ? new Set(body.ids) : null;
+    const contains = body.contains?.toLowerCase();
+    const mailboxes = [...workspace.mailboxes.values()]
+      .map((m) => state.mailboxView(workspace, m))
+      .filter(
+        (m) =>
+          (!ids || ids.has(m.id)) &&
+          (!contains || m.email.includes(contains)) &&
+          (!body.status || m.status === body.status)
+      );
+    const exportId = state.id("exp");
+    workspace.exports.push({
+      exportId,
+      apps,
+      mailboxIds: mailboxes.map((m) => m.id),
+    });
+    return {
+      data: {
+        exportId,
+        status: "COMPLETED",
+        apps,
+        mailboxesExported: mailboxes.length,
+        ...(apps.includes("MANUAL") && {
+          downloadUrl: `https://sandbox.zapmail.local/exports/${exportId}.csv`,
+        }),
+      },
+    };
+  }),
+
+  route("GET", "/v2/dns/:domainId/records", ({ state, workspace, params }) => ({
+    data: state.findDomain(workspace, params.domainId).dnsRecords,
+  })),
+
+  route(
+    "POST",
+    "/v2/dns/:domainId/records",
+    ({ state, workspace, params, body }) => {
+      const domain = state.findDomain(workspace, params.domainId);
+      const record = {
+        id: state.id("dns"),
+        type: requireString(body.type, "type").toUpperCase(),
+        name: requireString(body.name, "name"),
+        value: requireString(body.value, "value"),
+        ttl: Number(body.ttl) || 3600,
+        ...(body.priority !== undefined && { priority: Number(body.priority) }),
+      };
+      domain.dnsRecords.push(record);
+      return { data: { ...record, status: "ACTIVE" } };
+    }
+  ),
+
+  route(
+    "PUT",
+    "/v2/dns/:domainId/records/:recordId",
+    ({ state, workspace, params, body }) => {
+      const domain = state.findDomain(workspace, params.domainId);
+      const record = domain.dnsRecords.find((r) => r.id === params.recordId);
+      if (!record) {
+        throw new SandboxHttpError(
+          404,
+          `DNS record '${params.recordId}' not found`
+        );
+      }
+      if (body.value !== undefined)
+        record.value = requireString(body.value, "value");
+      if (body.ttl !== undefined) record.ttl = Number(body.ttl);
+      if (body.priority !== undefined) record.priority = Number(body.priority);
+      return {
+        data: {
+          ...record,
+          status: "UPDATED",
+          updatedAt: new Date().toISOString(),
+        },
+      };
+    }
+  ),
+
+  route(
+    "DELETE",
+    "/v2/dns/:domainId/records/:recordId",
+    ({ state, workspace, params }) => {
+      const domain = state.findDomain(workspace, params.domainId);
+      const index = domain.dnsRecords.findIndex(
+        (r) => r.id === params.recordId
+      );
+      if (index < 0) {
+        throw new SandboxHttpError(
+          404,
+          `DNS record '${params.recordId}' not found`
+        );
+      }
+      domain.dnsRecords.splice(index, 1);
+      return { data: { id: params.recordId, status: "DELETED" } };
+    }
+  ),
+];
+
+function matchRoute(method, pathname) {
+  let pathMatched = false;
+  for (const candidate of ROUTES) {
+    const match = candidate.regex.exec(pathname);
+    if (!match) continue;
+    if (candidate.method === method) {
+      const params = {};
+      for (const [k, v] of Object.entries(match.groups || {})) {
+        params[k] = decodeURIComponent(v);
+      }
+      return { route: candidate, params };
+    }
+    pathMatched = true;
+  }
+  throw new SandboxHttpError(
+    pathMatched ? 405 : 404,
+    pathMatched
+      ? `Method ${method} not allowed`
+      : `No sandbox route for ${pathname}`
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+// Fixed one-minute window per API key, reported through X-RateLimit-*
+function createRateLimit(limit, windowMs = 60000) {
+  const windows = new Map();
+  return (key) => {
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    return {
+      limited: limit > 0 && window.count > limit,
+      headers:
+        limit > 0
+          ? {
+              "x-ratelimit-limit": String(limit),
+              "x-ratelimit-remaining": String(
+                Math.max(limit - window.count, 0)
+              ),
+              "x-ratelimit-reset": String(resetSeconds),
+            }
+          : {},
+      retryAfter: resetSeconds,
+    };
+  };
+}
+
+async function readJsonBody(req) {
+  let text = "";
+  for await (const chunk of req) text += chunk;
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new SandboxHttpError(400, "Request body is not valid JSON");
+  }
+}
+
+// The sandbox HTTP server, not yet listening. rateLimit is requests per
+// minute (0 = off); basePath is stripped from request paths, e.g. "/api".
+export function createSandboxServer({
+  activationMs = parseInt(env.ZAPMAIL_SANDBOX_ACTIVATION_MS || "5000", 10),
+  walletBalance = Number(env.ZAPMAIL_SANDBOX_WALLET || "100"),
+  rateLimit = parseInt(env.ZAPMAIL_SANDBOX_RATE_LIMIT || "30", 10),
+  latencyMs = parseInt(env.ZAPMAIL_SANDBOX_LATENCY_MS || "0", 10),
+  basePath = "",
+} = {}) {
+  const state = new SandboxState({ activationMs, walletBalance });
+  const checkRate = createRateLimit(rateLimit);
+
+  const server = createServer(async (req, res) => {
+    const send = (status, payload, headers = {}) => {
+      res.writeHead(status, { "content-type": "application/json", ...headers });
+      res.end(JSON.stringify(payload));
+    };
+    try {
+      const apiKey = req.headers["x-auth-zapmail"];
+      if (!apiKey)
+        throw new SandboxHttpError(401, "Missing x-auth-zapmail header");
+
+      const rate = checkRate(apiKey);
+      if (rate.limited) {
+        send(
+          429,
+          { message: "Too many requests" },
+          { ...rate.headers, "retry-after": String(rate.retryAfter) }
+        );
+        return;
+      }
+      for (const [name, value] of Object.entries(rate.headers)) {
+        res.setHeader(name, value);
+      }
+
+      const url = new URL(req.url, "http://sandbox");
+      let pathname = url.pathname;
+      if (basePath && pathname.startsWith(basePath)) {
+        pathname = pathname.slice(basePath.length);
+      }
+      const { route, params } = matchRoute(req.method, pathname);
+      const body = await readJsonBody(req);
+
+      const idempotencyKey = req.headers["idempotency-key"];
+      const replayKey = idempotencyKey && `${apiKey}:${idempotencyKey}`;
+      if (replayKey && state.idempotentResponses.has(replayKey)) {
+        send(200, state.idempotentResponses.get(replayKey), {
+          "idempotent-replayed": "true",
+        });
+        return;
+      }
+
+      const payload = route.handler({
+        state,
+        workspace: state.workspace(req.headers["x-workspace-key"]),
+        body,
+        query: url.searchParams,
+        params,
+      });
+      if (replayKey) state.idempotentResponses.set(replayKey, payload);
+      // Applied already; a slow response is where clients give up on a
+      // request that did go through
+      if (latencyMs > 0) await sleep(latencyMs);
+      send(200, payload);
+    } catch (err) {
+      if (err instanceof SandboxHttpError) {
+        send(err.status, { message: err.message });
+      } else {
+        send(500, { message: err.message });
+      }
+    }
+  });
+  return server;
+}
+
+// Resolves once listening; url is the value for ZAPMAIL_API_BASE
+export async function startSandbox({
+  host = "127.0.0.1",
+  port = 0,
+  ...options
+} = {}) {
+  const server = createSandboxServer(options);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+  return {
+    url: `http://${host}:${address.port}`,
+    server,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Run directly (or through the zapmail-sandbox bin link) rather than imported
+if (argv[1] && fileURLToPath(import.meta.url) === realpathSync(argv[1])) {
+  const portIndex = argv.indexOf("--port");
+  const port = parseInt(
+    (portIndex >= 0 && argv[portIndex + 1]) ||
+      env.ZAPMAIL_SANDBOX_PORT ||
+      "4010",
+    10
+  );
+  const sandbox = await startSandbox({ port });
+  console.error(`Zapmail sandbox API listening on ${sandbox.url}`);
+  console.error(`Use ZAPMAIL_API_BASE=${sandbox.url} with any ZAPMAIL_API_KEY`);
+}
@@ -0,0 +1,59 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+describe("tool annotations", () => {
+  let server;
+  let tools;
+  before(async () => {
+    server = startStdioServer();
+    await server.call("initialize", {
+      protocolVersion: "2025-06-18",
+      capabilities: {},
+      clientInfo: { name: "test", version: "0" },
+    });
+    const list = await server.call("tools/list");
+    tools = new Map(list.result.tools.map((t) => [t.name, t]));
+  });
+  after(() => server.close());
+
+  test("every tool declares all four hints", () => {
+    for (const tool of tools.values()) {
+      for (const hint of [
+        "readOnlyHint",
+        "destructiveHint",
+        "idempotentHint",
+        "openWorldHint",
+      ]) {
+        assert.equal(
+          typeof tool.annotations?.[hint],
+          "boolean",
+          `${tool.name} ${hint}`
+        );
+      }
+    }
+  });
+
+  test("tools that spend wallet balance are destructive and not idempotent", () => {
+    for (const name of [
+      "purchase_domains",
+      "create_mailboxes_for_zero_domains",
+    ]) {
+      assert.deepEqual(tools.get(name).annotations, {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: false,
+        openWorldHint: true,
+      });
+    }
+  });
+
+  test("lookups are read-only", () => {
+    assert.equal(tools.get("wallet_balance").annotations.readOnlyHint, true);
+    assert.equal(tools.get("health_check").annotations.readOnlyHint, true);
+    assert.equal(
+      tools.get("wallet_balance").annotations.destructiveHint,
+      false
+    );
+  });
+});
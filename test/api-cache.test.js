@@ -0,0 +1,41 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+// list_domains passes the API response through; the sandbox nests it
+const domainNames = ({ domains }) =>
+  domains.data.domains.map((d) => d.domain).sort();
+
+describe("API response cache", () => {
+  let server;
+  before(() => {
+    server = startStdioServer();
+  });
+  after(() => server.close());
+
+  test("keeps cached reads separate per workspace", async () => {
+    await server.callTool("set_context", { workspaceKey: "ws-sandbox" });
+    const own = await server.callTool("list_domains");
+    assert.deepEqual(domainNames(own), [
+      "sandbox-leads.io",
+      "sandbox-outreach.com",
+    ]);
+
+    await server.callTool("set_context", { workspaceKey: "ws-sandbox-empty" });
+    const other = await server.callTool("list_domains");
+    assert.deepEqual(domainNames(other), []);
+  });
+
+  test("a purchase evicts the domain list and wallet it changed", async () => {
+    await server.callTool("set_context", { workspaceKey: "ws-sandbox" });
+    const { balance: startBalance } = await server.callTool("wallet_balance");
+    await server.callTool("list_domains");
+
+    await server.callTool("purchase_domains", { domains: ["cache-evict.com"] });
+
+    const domains = await server.callTool("list_domains");
+    assert.ok(domainNames(domains).includes("cache-evict.com"));
+    const { balance: endBalance } = await server.callTool("wallet_balance");
+    assert.ok(endBalance < startBalance, `${startBalance} -> ${endBalance}`);
+  });
+});
@@ -0,0 +1,44 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+const LATENCY_MS = 300;
+
+describe("JSON-RPC batches over stdio", () => {
+  let server;
+  before(() => {
+    server = startStdioServer({
+      env: { ZAPMAIL_SANDBOX_LATENCY_MS: String(LATENCY_MS) },
+    });
+  });
+  after(() => server.close());
+
+  test("answers every member in one array, matched by id", async () => {
+    const { batch, responses } = await server.callBatch([
+      ["ping"],
+      ["prompts/list"],
+      ["no/such/method"],
+    ]);
+    assert.equal(responses.length, batch.length);
+    const byId = new Map(responses.map((r) => [r.id, r]));
+    assert.deepEqual(byId.get(batch[0].id).result, { ok: true });
+    assert.ok(Array.isArray(byId.get(batch[1].id).result.prompts));
+    assert.equal(byId.get(batch[2].id).error.code, -32601);
+  });
+
+  test("dispatches members concurrently", async () => {
+    const calls = ["one", "two", "three"].map((name) => [
+      "tools/call",
+      {
+        name: "check_domain_availability",
+        arguments: { domainName: `batch-${name}.com` },
+      },
+    ]);
+    const started = Date.now();
+    const { responses } = await server.callBatch(calls);
+    const elapsed = Date.now() - started;
+    assert.ok(responses.every((r) => r.result && !r.result.isError));
+    // One after another would take at least 3 x latency
+    assert.ok(elapsed < 2 * LATENCY_MS, `took ${elapsed}ms`);
+  });
+});
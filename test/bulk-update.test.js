@@ -0,0 +1,57 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+describe("bulk_update_mailboxes", () => {
+  let server;
+  let mailboxIds;
+  before(async () => {
+    server = startStdioServer();
+    const { result } = await server.call("resources/read", {
+      uri: "zapmail://workspaces/ws-sandbox/mailboxes",
+    });
+    const { data } = JSON.parse(result.text);
+    mailboxIds = data.domains.flatMap((d) => d.mailboxes.map((m) => m.id));
+  });
+  after(() => server.close());
+
+  test("rejects a chunkSize that is not a positive integer", async () => {
+    for (const chunkSize of ["ten", 0, 1.5]) {
+      await assert.rejects(
+        server.callTool("bulk_update_mailboxes", {
+          updates: [{ mailboxId: mailboxIds[0], firstName: "Never" }],
+          chunkSize,
+        }),
+        (err) => err.error.code === "VALIDATION_ERROR"
+      );
+    }
+  });
+
+  test("applies every update across several chunks", async () => {
+    const out = await server.callTool("bulk_update_mailboxes", {
+      updates: mailboxIds.map((mailboxId) => ({
+        mailboxId,
+        lastName: "Chunked",
+      })),
+      chunkSize: 1,
+    });
+    assert.equal(out.successful, mailboxIds.length);
+    for (const result of out.results) {
+      assert.equal(result.data.lastName, "Chunked");
+    }
+  });
+
+  test("renames mailboxes and fails only an invalid username", async () => {
+    const [renamed, invalid] = mailboxIds;
+    const out = await server.callTool("bulk_update_mailboxes", {
+      updates: [
+        { mailboxId: renamed, username: "Renamed.User" },
+        { mailboxId: invalid, username: "not valid!" },
+      ],
+    });
+    assert.equal(out.successful, 1);
+    assert.equal(out.results[0].data.username, "renamed.user");
+    assert.equal(out.errors[0].mailboxId, invalid);
+    assert.match(out.errors[0].error, /username/);
+  });
+});
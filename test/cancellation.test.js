@@ -0,0 +1,57 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+// Forwarded debug logs tell the test when a request is on the wire
+function apiRequestLogged(path) {
+  return (msg) =>
+    msg.method === "notifications/message" &&
+    msg.params.data.message === "API request" &&
+    msg.params.data.data?.path === path;
+}
+
+describe("cancellation", () => {
+  let server;
+  before(async () => {
+    server = startStdioServer({ env: { ZAPMAIL_SANDBOX_LATENCY_MS: "400" } });
+    await server.call("logging/setLevel", { level: "debug" });
+  });
+  after(() => server.close());
+
+  test("a purchase already sent finishes and is reported", async () => {
+    const before = await server.callTool("wallet_balance");
+    const { id, response } = server.request("tools/call", {
+      name: "purchase_domains",
+      arguments: { domains: ["cancel-me.com"] },
+    });
+    await server.waitForNotification(apiRequestLogged("/v2/domains/buy"));
+    server.send({
+      jsonrpc: "2.0",
+      method: "notifications/cancelled",
+      params: { requestId: id, reason: "test" },
+    });
+
+    const { result } = await response;
+    assert.equal(result.isError, undefined);
+    assert.equal(result.structuredContent.useWallet, true);
+    const after = await server.callTool("wallet_balance");
+    assert.equal(after.balance, before.balance - 12);
+  });
+
+  test("other tools answer a cancel with a CANCELLED error", async () => {
+    const { id, response } = server.request("tools/call", {
+      name: "list_domains",
+      arguments: { contains: "cancel" },
+    });
+    await server.waitForNotification(apiRequestLogged("/v2/domains"));
+    server.send({
+      jsonrpc: "2.0",
+      method: "notifications/cancelled",
+      params: { requestId: id },
+    });
+
+    const { result } = await response;
+    assert.equal(result.isError, true);
+    assert.equal(JSON.parse(result.content[0].text).error.code, "CANCELLED");
+  });
+});
@@ -0,0 +1,66 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { startSandbox } from "../src/sandbox.js";
+import { startStdioServer } from "./helpers/server.js";
+
+describe("cassettes", () => {
+  let dir;
+  let sandbox;
+  let env;
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "zapmail-cassette-"));
+    sandbox = await startSandbox({ rateLimit: 0 });
+    env = {
+      ZAPMAIL_API_BASE: sandbox.url,
+      ZAPMAIL_API_KEY: "cassette-test",
+      ZAPMAIL_CASSETTE_PATH: join(dir, "cassette.json"),
+    };
+  });
+  after(async () => {
+    await new Promise((resolve) => sandbox.server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("replays mailbox creation despite randomly generated bodies", async () => {
+    const recorder = startStdioServer({
+      sandbox: false,
+      env: { ...env, ZAPMAIL_CASSETTE: "record" },
+    });
+    const recorded = await recorder.callTool(
+      "create_mailboxes_for_zero_domains",
+      { countPerDomain: 2 }
+    );
+    await recorder.close();
+    assert.equal(recorded.createdCount, 1);
+
+    // Written when the recorder exits
+    const cassette = JSON.parse(await readFile(env.ZAPMAIL_CASSETTE_PATH));
+    assert.ok(
+      cassette.interactions.some(
+        ({ request }) =>
+          request.method === "POST" && request.url.endsWith("/v2/mailboxes")
+      )
+    );
+
+    const player = startStdioServer({
+      sandbox: false,
+      env: { ...env, ZAPMAIL_CASSETTE: "replay" },
+    });
+    try {
+      const replayed = await player.callTool(
+        "create_mailboxes_for_zero_domains",
+        { countPerDomain: 2 }
+      );
+      assert.equal(replayed.createdCount, recorded.createdCount);
+      assert.deepEqual(
+        replayed.details.map((d) => d.domain),
+        recorded.details.map((d) => d.domain)
+      );
+    } finally {
+      await player.close();
+    }
+  });
+});
@@ -0,0 +1,60 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startFakeApi, startStdioServer } from "./helpers/server.js";
+
+describe("circuit breaker", () => {
+  let api;
+  let server;
+  let healthy = false;
+  before(async () => {
+    api = await startFakeApi(() =>
+      healthy
+        ? { body: { walletBalance: 42 } }
+        : { status: 500, body: { message: "boom" } }
+    );
+    server = startStdioServer({
+      sandbox: false,
+      env: {
+        ZAPMAIL_API_BASE: api.url,
+        ZAPMAIL_API_KEY: "circuit-test",
+        ZAPMAIL_ENABLE_CACHE: "false",
+        ZAPMAIL_MAX_RETRIES: "0",
+        ZAPMAIL_CIRCUIT_FAILURE_THRESHOLD: "2",
+        ZAPMAIL_CIRCUIT_RESET_MS: "1000",
+      },
+    });
+  });
+  after(async () => {
+    await server.close();
+    await api.close();
+  });
+
+  const circuits = async () => (await server.callTool("get_metrics")).circuits;
+
+  test("opens after repeated failures and fails fast", async () => {
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(
+        server.callTool("wallet_balance"),
+        (err) => err.error.status === 500
+      );
+    }
+    const seen = api.requests.length;
+    await assert.rejects(
+      server.callTool("wallet_balance"),
+      (err) => err.error.code === "CIRCUIT_OPEN"
+    );
+    assert.equal(api.requests.length, seen);
+    const [state] = Object.values(await circuits());
+    assert.equal(state.state, "open");
+  });
+
+  test("closes again after a successful probe", async () => {
+    healthy = true;
+    await sleep(1100);
+    const { balance } = await server.callTool("wallet_balance");
+    assert.equal(balance, 42);
+    const [state] = Object.values(await circuits());
+    assert.equal(state.state, "closed");
+  });
+});
@@ -0,0 +1,54 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+describe("completion/complete", () => {
+  let server;
+  before(() => {
+    server = startStdioServer();
+  });
+  after(() => server.close());
+
+  async function complete(ref, name, value) {
+    const { result } = await server.call("completion/complete", {
+      ref,
+      argument: { name, value },
+    });
+    return result.completion.values;
+  }
+
+  test("suggests owned domains where they fit", async () => {
+    const values = await complete(
+      { type: "ref/tool", name: "list_domains" },
+      "contains",
+      "sandbox-o"
+    );
+    assert.deepEqual(values, ["sandbox-outreach.com"]);
+  });
+
+  test("does not suggest owned domains to buy or check", async () => {
+    for (const [name, argument] of [
+      ["purchase_domains", "domains"],
+      ["check_domain_availability", "domainName"],
+      ["check_domain_availability_batch", "domains"],
+    ]) {
+      const values = await complete(
+        { type: "ref/tool", name },
+        argument,
+        "sandbox"
+      );
+      assert.deepEqual(values, [], name);
+    }
+  });
+
+  test("ignores inherited property names", async () => {
+    for (const argument of ["constructor", "toString", "__proto__"]) {
+      const values = await complete(
+        { type: "ref/prompt", name: "toString" },
+        argument,
+        ""
+      );
+      assert.deepEqual(values, [], argument);
+    }
+  });
+});
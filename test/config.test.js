@@ -0,0 +1,32 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+describe("invalid numeric settings", () => {
+  let server;
+  before(() => {
+    server = startStdioServer({
+      env: {
+        ZAPMAIL_LOG_LEVEL: "WARN",
+        ZAPMAIL_BATCH_CONCURRENCY: "abc",
+        ZAPMAIL_BULK_UPDATE_CHUNK_SIZE: "0",
+      },
+    });
+  });
+  after(() => server.close());
+
+  test("fall back to their defaults with a warning", async () => {
+    const info = await server.callTool("get_server_info");
+    assert.equal(info.configuration.batchConcurrency, 4);
+    assert.match(server.stderr, /ZAPMAIL_BATCH_CONCURRENCY/);
+    assert.match(server.stderr, /ZAPMAIL_BULK_UPDATE_CHUNK_SIZE/);
+  });
+
+  test("still let batches run", { timeout: 10000 }, async () => {
+    const { results } = await server.callTool(
+      "check_domain_availability_batch",
+      { domains: ["pool-a.com", "pool-b.com", "pool-c.com"] }
+    );
+    assert.equal(results.length, 3);
+  });
+});
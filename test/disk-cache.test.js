@@ -0,0 +1,39 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { startStdioServer } from "./helpers/server.js";
+
+function domainNames(result) {
+  return result.domains.data.domains.map((d) => d.domain);
+}
+
+describe("disk cache", () => {
+  let dir;
+  let server;
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "zapmail-cache-"));
+    server = startStdioServer({
+      env: {
+        ZAPMAIL_DISK_CACHE_DIR: dir,
+        ZAPMAIL_ENABLE_CACHE: "false",
+      },
+    });
+  });
+  after(async () => {
+    await server.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("a purchase evicts the cached domain list before it returns", async () => {
+    const first = await server.callTool("list_domains");
+    assert.ok(!domainNames(first).includes("cache-evict.com"));
+
+    await server.callTool("purchase_domains", {
+      domains: ["cache-evict.com"],
+    });
+    const second = await server.callTool("list_domains");
+    assert.ok(domainNames(second).includes("cache-evict.com"));
+  });
+});
@@ -0,0 +1,50 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+describe("plan_and_execute elicitation", () => {
+  let server;
+  const elicited = [];
+  before(async () => {
+    server = startStdioServer({
+      onRequest: (msg) => {
+        if (msg.method !== "elicitation/create") return undefined;
+        elicited.push(msg.params);
+        return { action: "accept", content: { email: "ops@example.org" } };
+      },
+    });
+    await server.call("initialize", {
+      protocolVersion: "2025-06-18",
+      capabilities: { elicitation: {} },
+      clientInfo: { name: "test", version: "0" },
+    });
+  });
+  after(() => server.close());
+
+  test("never asks for a password", async () => {
+    elicited.length = 0;
+    await assert.rejects(
+      server.callTool("plan_and_execute", {
+        instruction: "connect instantly",
+        execute: true,
+      }),
+      (err) =>
+        err.error.code === "VALIDATION_ERROR" && err.error.field === "password"
+    );
+    assert.equal(elicited.length, 0);
+  });
+
+  test("asks only for what a password argument leaves open", async () => {
+    elicited.length = 0;
+    const out = await server.callTool("plan_and_execute", {
+      instruction: "connect instantly",
+      execute: true,
+      password: "app-password",
+    });
+    assert.equal(elicited.length, 1);
+    assert.deepEqual(Object.keys(elicited[0].requestedSchema.properties), [
+      "email",
+    ]);
+    assert.ok(out.results.some((r) => r.ok && r.step.method === "POST"));
+  });
+});
@@ -0,0 +1,324 @@
+// Runs src/index.js against the in-memory sandbox API (or a scripted fake),
+// over stdio or HTTP, for the node:test suites in this directory.
+
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { createServer as createHttpServer } from "node:http";
+import { createServer } from "node:net";
+import { fileURLToPath } from "node:url";
+
+const SERVER = fileURLToPath(new URL("../../src/index.js", import.meta.url));
+
+// Limits generous enough that tests never wait on the client rate limiter
+const BASE_ENV = {
+  ZAPMAIL_API_KEY: "",
+  ZAPMAIL_LOG_LEVEL: "ERROR",
+  ZAPMAIL_MANIFEST_RELOAD_MS: "0",
+  ZAPMAIL_SANDBOX_RATE_LIMIT: "0",
+  ZAPMAIL_RATE_LIMITS: "read=6000,availability=6000,purchase=6000,write=6000",
+};
+
+function spawnServer(args, env) {
+  return spawn(process.execPath, [SERVER, ...args], {
+    env: { ...process.env, ...BASE_ENV, ...env },
+    stdio: ["pipe", "pipe", "pipe"],
+  });
+}
+
+async function stopServer(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  child.kill();
+  await once(child, "exit");
+}
+
+// Client-side requests (elicitation, sampling) are answered by onRequest,
+// which returns the result or throws to send an error. With sandbox: false
+// the server talks to whatever ZAPMAIL_API_BASE points at.
+export function startStdioServer({ env = {}, onRequest, sandbox = true } = {}) {
+  const child = spawnServer(sandbox ? ["--sandbox"] : [], env);
+  const pending = new Map();
+  const notifications = [];
+  const watchers = new Set();
+  // Batch replies carry no single id, so they resolve in the order sent
+  const pendingBatches = [];
+  let stderr = "";
+  let nextId = 0;
+  let buffer = "";
+
+  child.stderr.setEncoding("utf8");
+  child.stderr.on("data", (chunk) => {
+    stderr += chunk;
+  });
+
+  // Not awaited by the reader, so a slow (or silent) client answer never
+  // holds up the messages behind it
+  async function answer(msg) {
+    let reply;
+    try {
+      const result = await onRequest?.(msg);
+      if (result === undefined) throw new Error(`Unhandled ${msg.method}`);
+      reply = { jsonrpc: "2.0", id: msg.id, result };
+    } catch (err) {
+      reply = {
+        jsonrpc: "2.0",
+        id: msg.id,
+        error: { code: -32601, message: err.message },
+      };
+    }
+    if (child.stdin.writable) child.stdin.write(JSON.stringify(reply) + "\n");
+  }
+
+  child.stdout.setEncoding("utf8");
+  child.stdout.on("data", (chunk) => {
+    buffer += chunk;
+    let idx;
+    while ((idx = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 1);
+      if (!line.trim()) continue;
+      const msg = JSON.parse(line);
+      if (Array.isArray(msg)) {
+        pendingBatches.shift()?.(msg);
+      } else if (msg.method && msg.id !== undefined) {
+        answer(msg);
+      } else if (msg.method) {
+        notifications.push(msg);
+        for (const watcher of watchers) watcher(msg);
+      } else if (pending.has(msg.id)) {
+        pending.get(msg.id)(msg);
+        pending.delete(msg.id);
+      }
+    }
+  });
+
+  const exited = once(child, "exit").then(([code]) => code);
+
+  return {
+    child,
+    notifications,
+    exited,
+    get stderr() {
+      return stderr;
+    },
+    send(message) {
+      child.stdin.write(JSON.stringify(message) + "\n");
+    },
+    // Resolves with the first notification (past or future) that matches
+    waitForNotification(predicate) {
+      const seen = notifications.find(predicate);
+      if (seen) return Promise.resolve(seen);
+      return new Promise((resolve) => {
+        const watcher = (msg) => {
+          if (!predicate(msg)) return;
+          watchers.delete(watcher);
+          resolve(msg);
+        };
+        watchers.add(watcher);
+      });
+    },
+    // Resolves with the whole response (result or error)
+    request(method, params) {
+      const id = ++nextId;
+      const response = new Promise((resolve) => pending.set(id, resolve));
+      this.send({ jsonrpc: "2.0", id, method, params });
+      return { id, response };
+    },
+    async call(method, params) {
+      return await this.request(method, params).response;
+    },
+    // Sends [method, params] pairs as one JSON-RPC batch and resolves with
+    // the reply array
+    callBatch(calls) {
+      const batch = calls.map(([method, params]) => ({
+        jsonrpc: "2.0",
+        id: ++nextId,
+        method,
+        params,
+      }));
+      const reply = new Promise((resolve) => pendingBatches.push(resolve));
+      this.send(batch);
+      return reply.then((responses) => ({ batch, responses }));
+    },
+    // Resolves with the tool's structured output; tool errors reject
+    async callTool(name, args = {}) {
+      const { result, error } = await this.call("tools/call", {
+        name,
+        arguments: args,
+      });
+      if (error) throw Object.assign(new Error(error.message), error);
+      const text = result.content?.[0]?.text;
+      if (result.isError) {
+        throw Object.assign(new Error("Tool error"), JSON.parse(text));
+      }
+      return result.structuredContent ?? JSON.parse(text);
+    },
+    close: () => stopServer(child),
+  };
+}
+
+function readSseStream(resp, controller) {
+  const messages = [];
+  const watchers = new Set();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  (async () => {
+    try {
+      for await (const chunk of resp.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let idx;
+        while ((idx = buffer.indexOf("\n\n")) >= 0) {
+          const event = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 2);
+          const data = event
+            .split("\n")
+            .filter((line) => line.startsWith("data: "))
+            .map((line) => line.slice(6))
+            .join("\n");
+          if (!data) continue;
+          const msg = JSON.parse(data);
+          messages.push(msg);
+          for (const watcher of watchers) watcher(msg);
+        }
+      }
+    } catch {
+      // Aborted by close()
+    }
+  })();
+  return {
+    messages,
+    // Resolves with the first message (past or future) that matches
+    waitFor(predicate) {
+      const seen = messages.find(predicate);
+      if (seen) return Promise.resolve(seen);
+      return new Promise((resolve) => {
+        const watcher = (msg) => {
+          if (!predicate(msg)) return;
+          watchers.delete(watcher);
+          resolve(msg);
+        };
+        watchers.add(watcher);
+      });
+    },
+    close: () => controller.abort(),
+  };
+}
+
+async function freePort() {
+  const server = createServer();
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const { port } = server.address();
+  server.close();
+  await once(server, "close");
+  return port;
+}
+
+export async function startHttpServer({ env = {} } = {}) {
+  const port = await freePort();
+  const child = spawnServer(["--sandbox", "--http"], {
+    ZAPMAIL_HTTP_PORT: String(port),
+    ZAPMAIL_HTTP_HOST: "127.0.0.1",
+    ...env,
+  });
+  const url = `http://127.0.0.1:${port}/mcp`;
+  // Wait for the listener
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fetch(url, { method: "OPTIONS" });
+      break;
+    } catch (err) {
+      if (attempt > 100) throw err;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+  let nextId = 0;
+  async function post(message, { sessionId, headers = {} } = {}) {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        accept: "application/json",
+        ...(sessionId && { "mcp-session-id": sessionId }),
+        ...headers,
+      },
+      body: JSON.stringify(message),
+    });
+    const text = await resp.text();
+    return { resp, body: text ? JSON.parse(text) : null };
+  }
+
+  return {
+    url,
+    post,
+    async openSession({ capabilities = {} } = {}) {
+      const { resp } = await post({
+        jsonrpc: "2.0",
+        id: ++nextId,
+        method: "initialize",
+        params: { protocolVersion: "2025-06-18", capabilities },
+      });
+      const sessionId = resp.headers.get("mcp-session-id");
+      return {
+        sessionId,
+        // Resolves with the whole response (result or error)
+        async call(method, params) {
+          const { body } = await post(
+            { jsonrpc: "2.0", id: ++nextId, method, params },
+            { sessionId }
+          );
+          return body;
+        },
+        // Opens the session's GET stream and collects the messages it carries
+        async openStream() {
+          const controller = new AbortController();
+          const resp = await fetch(url, {
+            headers: {
+              accept: "text/event-stream",
+              "mcp-session-id": sessionId,
+            },
+            signal: controller.signal,
+          });
+          return readSseStream(resp, controller);
+        },
+        async callTool(name, args = {}) {
+          const { body } = await post(
+            {
+              jsonrpc: "2.0",
+              id: ++nextId,
+              method: "tools/call",
+              params: { name, arguments: args },
+            },
+            { sessionId }
+          );
+          return body.result.structuredContent;
+        },
+      };
+    },
+    close: () => stopServer(child),
+  };
+}
+
+// A stand-in Zapmail API whose answers the test scripts: respond(request)
+// returns { status, headers, body } for each call. Every request is kept in
+// `requests`; point a server at it with ZAPMAIL_API_BASE and sandbox: false.
+export async function startFakeApi(respond) {
+  const requests = [];
+  const server = createHttpServer((req, res) => {
+    const request = { method: req.method, path: req.url };
+    requests.push(request);
+    const { status = 200, headers = {}, body = {} } = respond(request) || {};
+    res.writeHead(status, { "content-type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    async close() {
+      server.close();
+      await once(server, "close");
+    },
+  };
+}
@@ -0,0 +1,92 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startHttpServer, startStdioServer } from "./helpers/server.js";
+
+const isLog = (text) => (msg) =>
+  msg.method === "notifications/message" && msg.params.data.message === text;
+
+describe("logging/setLevel over stdio", () => {
+  let server;
+  before(() => {
+    server = startStdioServer();
+  });
+  after(() => server.close());
+
+  const logMessages = () =>
+    server.notifications.filter((n) => n.method === "notifications/message");
+  const failTool = () =>
+    server.call("tools/call", {
+      name: "check_domain_availability_batch",
+      arguments: {},
+    });
+
+  test("sends nothing until the client picks a level", async () => {
+    await failTool();
+    assert.equal(logMessages().length, 0);
+  });
+
+  test("forwards entries at or above the chosen level", async () => {
+    const { result } = await server.call("logging/setLevel", {
+      level: "warning",
+    });
+    assert.deepEqual(result, {});
+    await failTool();
+    const entry = await server.waitForNotification(isLog("Tool call failed"));
+    assert.equal(entry.params.level, "warning");
+    assert.equal(entry.params.logger, "zapmail");
+    assert.ok(
+      logMessages().every((n) =>
+        ["warning", "error", "critical", "alert", "emergency"].includes(
+          n.params.level
+        )
+      )
+    );
+  });
+
+  test("rejects unknown levels", async () => {
+    const { error } = await server.call("logging/setLevel", {
+      level: "chatty",
+    });
+    assert.equal(error.code, -32602);
+  });
+});
+
+describe("log routing over HTTP", () => {
+  let server;
+  before(async () => {
+    server = await startHttpServer({
+      env: { ZAPMAIL_SUBSCRIPTION_POLL_MS: "1000" },
+    });
+  });
+  after(() => server.close());
+
+  test("background work only logs to the session that started it", async () => {
+    const mine = await server.openSession();
+    const theirs = await server.openSession();
+    const streams = [];
+    for (const session of [mine, theirs]) {
+      await session.call("logging/setLevel", { level: "info" });
+      streams.push(await session.openStream());
+    }
+    const [myStream, theirStream] = streams;
+    try {
+      const uri = "zapmail://workspaces/ws-sandbox/domains";
+      await mine.call("resources/subscribe", { uri });
+      // Let the baseline read finish before changing the domain list
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      await mine.callTool("purchase_domains", {
+        domains: ["routing-check.com"],
+      });
+
+      await myStream.waitFor(isLog("Subscribed resource changed"));
+      // Anything broadcast would have reached the other stream by now
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      assert.ok(
+        !theirStream.messages.some(isLog("Subscribed resource changed"))
+      );
+      assert.ok(!theirStream.messages.some(isLog("Resource subscribed")));
+    } finally {
+      for (const stream of streams) stream.close();
+    }
+  });
+});
@@ -0,0 +1,89 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { startStdioServer } from "./helpers/server.js";
+
+// Two successive manifests: the reload drops one endpoint and adds another
+function manifest(slugs) {
+  return {
+    request: {
+      method: "GET",
+      url: "https://docs.zapmail.ai/llms.txt",
+      headers: { "user-agent": "zapmail-mcp-server/2.0" },
+      body: null,
+    },
+    response: {
+      status: 200,
+      statusText: "OK",
+      headers: { "content-type": "text/plain" },
+      body: slugs
+        .map(
+          (slug) =>
+            `- [${slug}](https://docs.zapmail.ai/${slug}.md): Test endpoint`
+        )
+        .join("\n"),
+    },
+  };
+}
+
+describe("manifest reload", () => {
+  let dir;
+  let server;
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "zapmail-manifest-"));
+    const path = join(dir, "cassette.json");
+    await writeFile(
+      path,
+      JSON.stringify({
+        interactions: [
+          manifest(["get-widgets", "delete-widgets"]),
+          manifest(["get-widgets", "create-widgets"]),
+        ],
+      })
+    );
+    server = startStdioServer({
+      env: { ZAPMAIL_CASSETTE: "replay", ZAPMAIL_CASSETTE_PATH: path },
+    });
+  });
+  after(async () => {
+    await server.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const toolNames = async () => {
+    const { result } = await server.call("tools/list");
+    return result.tools.map((t) => t.name);
+  };
+  const listChanged = () =>
+    server.notifications.filter(
+      (n) => n.method === "notifications/tools/list_changed"
+    );
+
+  test("a changed manifest rebuilds the tools and notifies the client", async () => {
+    const initial = await toolNames();
+    assert.ok(initial.includes("delete_widgets"));
+    assert.ok(!initial.includes("create_widgets"));
+
+    const outcome = await server.callTool("reload_endpoints");
+    assert.equal(outcome.changed, true);
+    assert.deepEqual(outcome.added, ["create_widgets"]);
+    assert.deepEqual(outcome.removed, ["delete_widgets"]);
+    await server.waitForNotification(
+      (n) => n.method === "notifications/tools/list_changed"
+    );
+
+    const reloaded = await toolNames();
+    assert.ok(reloaded.includes("create_widgets"));
+    assert.ok(!reloaded.includes("delete_widgets"));
+  });
+
+  test("an unchanged manifest sends no notification", async () => {
+    const seen = listChanged().length;
+    const outcome = await server.callTool("reload_endpoints");
+    assert.equal(outcome.changed, false);
+    // Notifications are written before the response
+    assert.equal(listChanged().length, seen);
+  });
+});
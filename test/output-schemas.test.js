@@ -0,0 +1,92 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+// Enough of JSON Schema for the declared output schemas: type, properties,
+// required and items
+function schemaErrors(schema, value, path = "$") {
+  const errors = [];
+  const types = [schema.type ?? []].flat();
+  const typeOf = (v) =>
+    v === null
+      ? "null"
+      : Array.isArray(v)
+      ? "array"
+      : Number.isInteger(v)
+      ? "integer"
+      : typeof v;
+  const actual = typeOf(value);
+  if (
+    types.length > 0 &&
+    !types.includes(actual) &&
+    !(actual === "integer" && types.includes("number"))
+  ) {
+    return [`${path} is ${actual}, expected ${types.join("|")}`];
+  }
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is missing`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(...schemaErrors(sub, value[key], `${path}.${key}`));
+      }
+    }
+  }
+  if (actual === "array" && schema.items) {
+    value.forEach((item, i) =>
+      errors.push(...schemaErrors(schema.items, item, `${path}[${i}]`))
+    );
+  }
+  return errors;
+}
+
+describe("structured tool output", () => {
+  let server;
+  let tools;
+  before(async () => {
+    server = startStdioServer();
+    const { result } = await server.call("tools/list");
+    tools = new Map(result.tools.map((t) => [t.name, t]));
+  });
+  after(() => server.close());
+
+  const calls = [
+    ["wallet_balance", {}],
+    ["list_workspaces", {}],
+    ["list_domains", {}],
+    ["set_context", { workspaceKey: "ws-sandbox" }],
+    ["check_domain_availability_batch", { domains: ["schema-check.com"] }],
+    ["get_server_info", {}],
+    ["health_check", {}],
+  ];
+  for (const [name, args] of calls) {
+    test(`${name} returns structuredContent matching its outputSchema`, async () => {
+      const { outputSchema } = tools.get(name);
+      assert.equal(outputSchema?.type, "object");
+      const { result } = await server.call("tools/call", {
+        name,
+        arguments: args,
+      });
+      assert.ok(!result.isError, result.content?.[0]?.text);
+      assert.deepEqual(
+        schemaErrors(outputSchema, result.structuredContent),
+        []
+      );
+      // The text block carries the same object for clients without schemas
+      assert.deepEqual(
+        JSON.parse(result.content[0].text),
+        result.structuredContent
+      );
+    });
+  }
+
+  test("failed calls carry no structuredContent", async () => {
+    const { result } = await server.call("tools/call", {
+      name: "check_domain_availability_batch",
+      arguments: {},
+    });
+    assert.equal(result.isError, true);
+    assert.equal(result.structuredContent, undefined);
+  });
+});
@@ -0,0 +1,43 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+const LATENCY_MS = 300;
+
+describe("check_domain_availability_batch", () => {
+  let server;
+  before(() => {
+    server = startStdioServer({
+      env: {
+        // The shipped per-group limits, not the test suite's generous ones
+        ZAPMAIL_RATE_LIMITS: "",
+        ZAPMAIL_BATCH_CONCURRENCY: "4",
+        ZAPMAIL_SANDBOX_LATENCY_MS: String(LATENCY_MS),
+      },
+    });
+  });
+  after(() => server.close());
+
+  test("checks items in parallel under the default rate limits", async () => {
+    const domains = ["one", "two", "three", "four"].map(
+      (name) => `parallel-${name}.com`
+    );
+    const started = Date.now();
+    const { results } = await server.callTool(
+      "check_domain_availability_batch",
+      { domains }
+    );
+    const elapsed = Date.now() - started;
+
+    assert.deepEqual(
+      results.map((r) => r.domainName),
+      domains
+    );
+    assert.ok(results.every((r) => !r.error));
+    // One at a time would take at least 4 x latency
+    assert.ok(
+      elapsed < 2.5 * LATENCY_MS,
+      `took ${elapsed}ms for ${domains.length} items`
+    );
+  });
+});
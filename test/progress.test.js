@@ -0,0 +1,50 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+describe("progress notifications", () => {
+  let server;
+  before(() => {
+    server = startStdioServer();
+  });
+  after(() => server.close());
+
+  const progressFor = (token) =>
+    server.notifications.filter(
+      (n) =>
+        n.method === "notifications/progress" &&
+        n.params.progressToken === token
+    );
+
+  test("a batch reports one step per item when given a progressToken", async () => {
+    const domains = ["progress-a.com", "progress-b.com", "progress-c.com"];
+    const { result } = await server.call("tools/call", {
+      name: "check_domain_availability_batch",
+      arguments: { domains },
+      _meta: { progressToken: "batch-1" },
+    });
+    assert.ok(!result.isError);
+
+    // Notifications are written before the response, so all have arrived
+    const steps = progressFor("batch-1").map((n) => n.params);
+    assert.equal(steps.length, domains.length);
+    assert.ok(steps.every((p) => p.total === domains.length));
+    assert.deepEqual(
+      steps.map((p) => p.progress).sort((a, b) => a - b),
+      [1, 2, 3]
+    );
+  });
+
+  test("no progress is sent without a progressToken", async () => {
+    const seen = server.notifications.length;
+    await server.callTool("check_domain_availability_batch", {
+      domains: ["progress-d.com"],
+    });
+    assert.equal(
+      server.notifications
+        .slice(seen)
+        .filter((n) => n.method === "notifications/progress").length,
+      0
+    );
+  });
+});
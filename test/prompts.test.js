@@ -0,0 +1,52 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+describe("prompts", () => {
+  let server;
+  before(() => {
+    server = startStdioServer();
+  });
+  after(() => server.close());
+
+  test("prompts/list describes each prompt's arguments", async () => {
+    const { result } = await server.call("prompts/list");
+    const prompt = result.prompts.find((p) => p.name === "name_generation");
+    assert.ok(prompt, "name_generation is listed");
+    assert.deepEqual(
+      prompt.arguments.map(({ name, required }) => ({ name, required })),
+      [
+        { name: "name", required: true },
+        { name: "numberOfNames", required: true },
+      ]
+    );
+  });
+
+  test("prompts/get fills the arguments into the message", async () => {
+    const { result } = await server.call("prompts/get", {
+      name: "name_generation",
+      arguments: { name: "Priya", numberOfNames: "7" },
+    });
+    assert.equal(result.messages.length, 1);
+    const { role, content } = result.messages[0];
+    assert.equal(role, "user");
+    assert.match(content.text, /Priya/);
+    assert.match(content.text, /\b7\b/);
+    assert.doesNotMatch(content.text, /\{NAME\}|\{NUMBER_OF_NAMES\}/);
+  });
+
+  test("prompts/get rejects missing or malformed arguments", async () => {
+    const missing = await server.call("prompts/get", {
+      name: "name_generation",
+      arguments: { numberOfNames: "7" },
+    });
+    assert.equal(missing.error.code, -32602);
+    const malformed = await server.call("prompts/get", {
+      name: "name_generation",
+      arguments: { name: "Priya", numberOfNames: "seven" },
+    });
+    assert.equal(malformed.error.code, -32602);
+    const unknown = await server.call("prompts/get", { name: "nope" });
+    assert.equal(unknown.error.code, -32602);
+  });
+});
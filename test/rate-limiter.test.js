@@ -0,0 +1,56 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeApi, startStdioServer } from "./helpers/server.js";
+
+describe("adaptive rate limiter", () => {
+  let api;
+  let server;
+  let next = null;
+  before(async () => {
+    api = await startFakeApi(() => {
+      const answer = next || { body: { walletBalance: 42 } };
+      next = null;
+      return answer;
+    });
+    server = startStdioServer({
+      sandbox: false,
+      env: {
+        ZAPMAIL_API_BASE: api.url,
+        ZAPMAIL_API_KEY: "limiter-test",
+        ZAPMAIL_ENABLE_CACHE: "false",
+        // One read per second after a burst of two
+        ZAPMAIL_RATE_LIMITS: "read=60:2",
+      },
+    });
+  });
+  after(async () => {
+    await server.close();
+    await api.close();
+  });
+
+  const readBucket = async () => {
+    const { rateLimits } = await server.callTool("get_metrics");
+    return Object.values(rateLimits).find((b) => b.group === "read");
+  };
+
+  test("lets a burst through, then paces calls at the group rate", async () => {
+    const started = Date.now();
+    const finished = await Promise.all(
+      [1, 2, 3].map(() =>
+        server.callTool("wallet_balance").then(() => Date.now() - started)
+      )
+    );
+    finished.sort((a, b) => a - b);
+    assert.ok(finished[1] < 500, `burst took ${finished[1]}ms`);
+    assert.ok(finished[2] >= 900, `third call after ${finished[2]}ms`);
+  });
+
+  test("a 429 halves the group's rate", async () => {
+    next = { status: 429, headers: { "retry-after": "0" } };
+    await server.callTool("wallet_balance");
+    const bucket = await readBucket();
+    assert.equal(bucket.configuredPerMinute, 60);
+    assert.equal(bucket.perMinute, 30);
+    assert.equal(bucket.throttled, true);
+  });
+});
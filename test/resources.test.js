@@ -0,0 +1,34 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+describe("resource templates", () => {
+  let server;
+  before(() => {
+    server = startStdioServer();
+  });
+  after(() => server.close());
+
+  for (const method of ["resources/read", "resources/subscribe"]) {
+    test(`${method} rejects a malformed URI as invalid params`, async () => {
+      const { error } = await server.call(method, {
+        uri: "zapmail://mailboxes/%E0%A4%A",
+      });
+      assert.equal(error.code, -32602);
+      assert.match(error.message, /Invalid resource URI/);
+    });
+  }
+
+  test("resources/read still serves a well-formed mailbox URI", async () => {
+    const list = await server.call("resources/read", {
+      uri: "zapmail://workspaces/ws-sandbox/mailboxes",
+    });
+    const { data } = JSON.parse(list.result.text);
+    const mailbox = data.domains[0].mailboxes[0];
+
+    const { result } = await server.call("resources/read", {
+      uri: `zapmail://mailboxes/${encodeURIComponent(mailbox.id)}`,
+    });
+    assert.equal(JSON.parse(result.text).data.id, mailbox.id);
+  });
+});
@@ -0,0 +1,54 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeApi, startStdioServer } from "./helpers/server.js";
+
+describe("Retry-After", () => {
+  let api;
+  let server;
+  // Status and Retry-After of the next answer; later answers succeed
+  let next = null;
+  before(async () => {
+    api = await startFakeApi(() => {
+      const answer = next || { body: { walletBalance: 42 } };
+      next = null;
+      return answer;
+    });
+    server = startStdioServer({
+      sandbox: false,
+      env: {
+        ZAPMAIL_API_BASE: api.url,
+        ZAPMAIL_API_KEY: "retry-test",
+        ZAPMAIL_ENABLE_CACHE: "false",
+        // Backoff alone would retry almost at once
+        ZAPMAIL_RETRY_BASE_DELAY_MS: "10",
+        ZAPMAIL_RETRY_AFTER_MAX_MS: "2000",
+      },
+    });
+  });
+  after(async () => {
+    await server.close();
+    await api.close();
+  });
+
+  test("waits the server's Retry-After before retrying a 429", async () => {
+    next = { status: 429, headers: { "retry-after": "1" } };
+    const seen = api.requests.length;
+    const started = Date.now();
+    const { balance } = await server.callTool("wallet_balance");
+    assert.equal(balance, 42);
+    assert.equal(api.requests.length - seen, 2);
+    assert.ok(Date.now() - started >= 1000);
+  });
+
+  test("fails at once when Retry-After exceeds the ceiling", async () => {
+    next = { status: 429, headers: { "retry-after": "30" } };
+    const seen = api.requests.length;
+    const started = Date.now();
+    await assert.rejects(
+      server.callTool("wallet_balance"),
+      (err) => err.error.status === 429
+    );
+    assert.equal(api.requests.length - seen, 1);
+    assert.ok(Date.now() - started < 1000);
+  });
+});
@@ -0,0 +1,30 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+describe("sampling planner", () => {
+  let server;
+  before(async () => {
+    server = startStdioServer({
+      env: { ZAPMAIL_SAMPLING_TIMEOUT_MS: "300" },
+      // A client that accepts sampling requests but never answers them
+      onRequest: () => new Promise(() => {}),
+    });
+    await server.call("initialize", {
+      protocolVersion: "2025-06-18",
+      capabilities: { sampling: {} },
+      clientInfo: { name: "test", version: "0" },
+    });
+  });
+  after(() => server.close());
+
+  test("falls back to the rules planner when the client never answers", async () => {
+    const started = Date.now();
+    const plan = await server.callTool("plan_and_execute", {
+      instruction: "list my workspaces",
+    });
+    assert.equal(plan.mode, "dry-run");
+    assert.equal(plan.strategy, "rules");
+    assert.ok(Date.now() - started < 5000);
+  });
+});
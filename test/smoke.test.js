@@ -0,0 +1,22 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startStdioServer } from "./helpers/server.js";
+
+describe("stdio server", () => {
+  let server;
+  before(() => {
+    server = startStdioServer();
+  });
+  after(() => server.close());
+
+  test("initializes and lists its tools", async () => {
+    const { result } = await server.call("initialize", {
+      protocolVersion: "2025-06-18",
+      capabilities: {},
+      clientInfo: { name: "test", version: "0" },
+    });
+    assert.ok(result.capabilities.tools);
+    const list = await server.call("tools/list");
+    assert.ok(list.result.tools.some((t) => t.name === "health_check"));
+  });
+});
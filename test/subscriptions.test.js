@@ -0,0 +1,70 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startStdioServer } from "./helpers/server.js";
+
+const URI = "zapmail://workspaces/ws-sandbox/domains";
+
+describe("resource subscriptions", () => {
+  let server;
+  before(() => {
+    server = startStdioServer({
+      env: {
+        ZAPMAIL_SUBSCRIPTION_POLL_MS: "1000",
+        ZAPMAIL_SANDBOX_ACTIVATION_MS: "1500",
+      },
+    });
+  });
+  after(() => server.close());
+
+  const changeTo = (domain, status) => (n) =>
+    n.method === "notifications/resources/updated" &&
+    n.params.uri === URI &&
+    n.params._meta.changes.some((c) => c.key === domain && c.to === status);
+
+  test("notifies when a purchased domain appears and turns ACTIVE", async () => {
+    const { result } = await server.call("resources/subscribe", { uri: URI });
+    assert.deepEqual(result, {});
+    // Let the baseline read finish before changing the domain list
+    await sleep(300);
+    await server.callTool("purchase_domains", {
+      domains: ["subscribed-new.com"],
+    });
+
+    const pending = await server.waitForNotification(
+      changeTo("subscribed-new.com", "PENDING")
+    );
+    assert.deepEqual(
+      pending.params._meta.changes.find((c) => c.key === "subscribed-new.com"),
+      { key: "subscribed-new.com", to: "PENDING" }
+    );
+    const active = await server.waitForNotification(
+      changeTo("subscribed-new.com", "ACTIVE")
+    );
+    assert.deepEqual(
+      active.params._meta.changes.find((c) => c.key === "subscribed-new.com"),
+      { key: "subscribed-new.com", from: "PENDING", to: "ACTIVE" }
+    );
+  });
+
+  test("stops notifying after resources/unsubscribe", async () => {
+    await server.call("resources/unsubscribe", { uri: URI });
+    const seen = server.notifications.length;
+    await server.callTool("purchase_domains", {
+      domains: ["unsubscribed-new.com"],
+    });
+    await sleep(2500);
+    assert.ok(
+      !server.notifications
+        .slice(seen)
+        .some((n) => n.method === "notifications/resources/updated")
+    );
+  });
+
+  test("rejects URIs that cannot be watched", async () => {
+    const { error } = await server.call("resources/subscribe", {
+      uri: "resource://zapmail/examples/nl",
+    });
+    assert.equal(error.code, -32602);
+  });
+});
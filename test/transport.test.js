@@ -0,0 +1,166 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { request } from "node:http";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startHttpServer, startStdioServer } from "./helpers/server.js";
+
+// fetch always derives Host from the URL, so spoofed Host headers need
+// node:http
+function rawPost(url, message, headers) {
+  return new Promise((resolve, reject) => {
+    const req = request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          accept: "application/json",
+          ...headers,
+        },
+      },
+      (resp) => {
+        resp.resume();
+        resp.on("end", () => resolve(resp.statusCode));
+      }
+    );
+    req.on("error", reject);
+    req.end(JSON.stringify(message));
+  });
+}
+
+const INITIALIZE = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: { protocolVersion: "2025-06-18", capabilities: {} },
+};
+
+describe("stdio transport", () => {
+  let server;
+  before(() => {
+    server = startStdioServer();
+  });
+  after(() => server.close());
+
+  test("a request whose handler throws fails alone", async () => {
+    const response = await server.call("resources/read", {
+      uri: "zapmail://mailboxes/%E0%A4%A",
+    });
+    assert.ok(response.error, "expected an error response");
+    const pong = await server.call("ping");
+    assert.deepEqual(pong.result, { ok: true });
+    assert.equal(server.child.exitCode, null);
+  });
+});
+
+describe("HTTP transport", () => {
+  let server;
+  before(async () => {
+    server = await startHttpServer();
+  });
+  after(() => server.close());
+
+  test("set_context only changes the calling session", async () => {
+    const first = await server.openSession();
+    const second = await server.openSession();
+    await first.callTool("set_context", { workspaceKey: "ws-sandbox-empty" });
+
+    const mine = await first.callTool("wallet_balance");
+    const theirs = await second.callTool("wallet_balance");
+    assert.equal(mine.context.workspaceKey, "ws-sandbox-empty");
+    assert.equal(theirs.context.workspaceKey, null);
+  });
+
+  test("cross-origin browser requests are rejected by default", async () => {
+    const message = { jsonrpc: "2.0", id: 1, method: "ping" };
+    const foreign = await server.post(message, {
+      headers: { origin: "http://evil.example" },
+    });
+    assert.equal(foreign.resp.status, 403);
+
+    const own = await server.post(
+      { ...message, method: "initialize", params: { capabilities: {} } },
+      { headers: { origin: new URL(server.url).origin } }
+    );
+    assert.equal(own.resp.status, 200);
+  });
+
+  test("a rebound host is rejected even when the origin matches it", async () => {
+    const status = await rawPost(server.url, INITIALIZE, {
+      host: `evil.test:${new URL(server.url).port}`,
+      origin: `http://evil.test:${new URL(server.url).port}`,
+    });
+    assert.equal(status, 403);
+  });
+
+  test("client requests fail fast without a stream to carry them", async () => {
+    const session = await server.openSession({
+      capabilities: { sampling: {} },
+    });
+    const started = Date.now();
+    const plan = await session.callTool("plan_and_execute", {
+      instruction: "list my workspaces",
+    });
+    assert.equal(plan.strategy, "rules");
+    // Well under the 60s sampling timeout
+    assert.ok(Date.now() - started < 5000);
+  });
+});
+
+describe("HTTP transport with a bearer token", () => {
+  let server;
+  before(async () => {
+    server = await startHttpServer({
+      env: { ZAPMAIL_HTTP_AUTH_TOKEN: "s3cret" },
+    });
+  });
+  after(() => server.close());
+
+  test("requests without the token are rejected", async () => {
+    const missing = await server.post(INITIALIZE);
+    assert.equal(missing.resp.status, 401);
+    const wrong = await server.post(INITIALIZE, {
+      headers: { authorization: "Bearer nope" },
+    });
+    assert.equal(wrong.resp.status, 401);
+    const right = await server.post(INITIALIZE, {
+      headers: { authorization: "Bearer s3cret" },
+    });
+    assert.equal(right.resp.status, 200);
+  });
+});
+
+describe("HTTP session limits", () => {
+  let server;
+  before(async () => {
+    server = await startHttpServer({
+      env: {
+        ZAPMAIL_HTTP_SESSION_TTL_MS: "1000",
+        ZAPMAIL_HTTP_MAX_SESSIONS: "2",
+      },
+    });
+  });
+  after(() => server.close());
+
+  const ping = (session) =>
+    server.post(
+      { jsonrpc: "2.0", id: 2, method: "ping" },
+      { sessionId: session.sessionId }
+    );
+
+  test("idle sessions expire", async () => {
+    const session = await server.openSession();
+    assert.equal((await ping(session)).resp.status, 200);
+    await sleep(2500);
+    assert.equal((await ping(session)).resp.status, 404);
+  });
+
+  test("the least recently used session makes room for a new one", async () => {
+    const oldest = await server.openSession();
+    const recent = await server.openSession();
+    await ping(recent);
+    await server.openSession();
+    assert.equal((await ping(oldest)).resp.status, 404);
+    assert.equal((await ping(recent)).resp.status, 200);
+  });
+});